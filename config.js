@@ -9,9 +9,26 @@ const isTrue = (x) => String(x).toLowerCase() === "true";
 module.exports = {
   //test
   // ================= SESSION ================= //
-  SESSION_ID: process.env.SESSION_ID || "STARK-MD~yBtWHJIL#77co_5CQ48UG9gehRla9onjzIKf-VnonWMJuQZcOWLQ",
+  // STARK-MD~ / X-KIRA~ (mega), KIRA-B64~ (inline), KIRA-ENC~ (encrypted) or a path to a creds file
+  SESSION_ID: process.env.SESSION_ID || "",
+  SESSION_PASSPHRASE: process.env.SESSION_PASSPHRASE || "", // unlocks KIRA-ENC~ sessions and encrypted exports
+  // ================= HTTP API ================= //
+  API_KEY: process.env.API_KEY || "", // required by the HTTP API routes
+  // ================= WEBHOOKS ================= //
+  WEBHOOK_RETRIES: Number(process.env.WEBHOOK_RETRIES ?? 3), // extra attempts before the dead-letter file
+  WEBHOOK_TIMEOUT: Number(process.env.WEBHOOK_TIMEOUT) || 10000, // ms
+  WEBHOOK_DLQ_FILE: process.env.WEBHOOK_DLQ_FILE || "", // default lib/database/data/webhook-dlq.jsonl
   // ================= DATABASE ================= //
   DATABASE_URL: process.env.DATABASE_URL || "",
+  // postgres/mysql/mongodb: "keys" = one row per setting and group (migrates the old row), "single" = one `default` row
+  SETTINGS_LAYOUT: process.env.SETTINGS_LAYOUT || "keys",
+  // settings change log (history/undo), kept per group and for global keys; 0 disables a limit
+  AUDIT_MAX_ENTRIES: Number(process.env.AUDIT_MAX_ENTRIES ?? 100),
+  AUDIT_MAX_AGE_DAYS: Number(process.env.AUDIT_MAX_AGE_DAYS ?? 30),
+  // extra bot numbers: "name=SESSION_ID,name2=SESSION_ID" (each gets sessions/<name>)
+  SESSIONS: process.env.SESSIONS || "",
+  // where the WhatsApp login lives: auto (database when DATABASE_URL supports it) | database | file
+  SESSION_STORE: process.env.SESSION_STORE || "auto",
 
   // ================= MENU ================= //
   MENU_INFO:
@@ -25,6 +42,8 @@ module.exports = {
   WORK_TYPE: process.env.WORK_TYPE || "public",
   prefix: process.env.PREFIX || ".",
   BOT_NAME: process.env.BOT_NAME || "x-kira",
+  MAX_CONCURRENT_CHATS: Number(process.env.MAX_CONCURRENT_CHATS) || 5,
+  RATE_LIMIT: Number(process.env.RATE_LIMIT ?? 20), // commands per user per minute, 0 disables
 
   // ================= FEATURES ================= //
   STATUS_REACT: isTrue(process.env.STATUS_REACT) || false,
@@ -33,5 +52,19 @@ module.exports = {
   AUTOREACT: isTrue(process.env.AUTOREACT) || false,
   STATUS_SEEN: isTrue(process.env.STATUS_SEEN) || false,
 
+  // ================= RECONNECT ================= //
+  RECONNECT_BASE_DELAY: Number(process.env.RECONNECT_BASE_DELAY) || 2000, // ms
+  RECONNECT_MAX_DELAY: Number(process.env.RECONNECT_MAX_DELAY) || 60000, // ms
+  RECONNECT_MAX_ATTEMPTS: Number(process.env.RECONNECT_MAX_ATTEMPTS ?? 10), // 0 = retry forever
+  RECONNECT_BREAKER_THRESHOLD: Number(process.env.RECONNECT_BREAKER_THRESHOLD) || 5, // disconnects...
+  RECONNECT_BREAKER_WINDOW: Number(process.env.RECONNECT_BREAKER_WINDOW) || 60000, // ...within this many ms
+  RECONNECT_BREAKER_COOLDOWN: Number(process.env.RECONNECT_BREAKER_COOLDOWN) || 300000, // pause in ms
+
+  // ================= SHUTDOWN ================= //
+  SHUTDOWN_TIMEOUT: Number(process.env.SHUTDOWN_TIMEOUT) || 10000, // ms to let running commands finish
+
+  // ================= PLUGINS ================= //
+  HOT_RELOAD: process.env.HOT_RELOAD ? isTrue(process.env.HOT_RELOAD) : true,
+
   // =========================================== //
 };
@@ -1,45 +1,64 @@
 const express = require("express");
-const { connect } = require("./lib/index");
+const { connect, getSession, sessions } = require("./lib/index");
 const config = require("./config.js");
 const app = express();
 const PORT = process.env.PORT || 8000;
 const db = require('./lib/database/settingdb');
-app.use(express.json());
+const { shutdown, setServer } = require("./lib/shutdown");
+app.use(express.json({ limit: "25mb" })); // base64 media through /messages
 
 // ==================== ROUTES ====================
 app.get("/", (req, res) => {
   res.json({
     status: "online",
     timestamp: new Date().toISOString(),
+    connection: getSession()?.status ?? db.getGlobal("connection_status") ?? null,
+    sessions: sessions.list().map(({ name, state }) => ({ name, state })),
   });
 });
+app.use("/login", require("./lib/routes/login"));
+app.use("/sessions", require("./lib/routes/sessions"));
+app.use("/messages", require("./lib/routes/messages"));
+app.use("/settings", require("./lib/routes/settings"));
+app.use("/events", require("./lib/routes/events"));
+app.use("/metrics", require("./lib/routes/metrics"));
+app.use(require("./lib/routes/health"));
 // ================================================
 // Start server and initialize WhatsApp session (if configured)
-app.listen(PORT, async () => {
+const server = app.listen(PORT, async () => {
   try {
     global.baileys = await import("baileys");
     console.log(`Server running on port ${PORT}`);
     console.log("Initializing databases...");
     await db.init({
       autosaveInterval: 5000,
-      databaseUrl: config.DATABASE_URL || null
+      databaseUrl: config.DATABASE_URL || null,
+      layout: config.SETTINGS_LAYOUT,
+      audit: {
+        maxEntries: config.AUDIT_MAX_ENTRIES,
+        maxAge: config.AUDIT_MAX_AGE_DAYS * 24 * 60 * 60 * 1000
+      }
     });
 
     console.log('DB initialized. startup:', db.getStartupTime());
-    const sessionId = config.SESSION_ID;
-    if (!sessionId) {
-      console.log("please set SESSION_ID in config.js");
-      return;
+    if (!config.SESSION_ID) {
+      console.log(config.API_KEY
+        ? `no SESSION_ID set, link the bot at http://localhost:${PORT}/login/qr or /login/pair?number= (with the x-api-key header)`
+        : "no SESSION_ID set, set API_KEY to link the bot through /login/qr or /login/pair");
     }
     await connect();
-    console.log(`WhatsApp session '${sessionId}' initialized`);
+    console.log(`WhatsApp sessions initialized: ${sessions.list().map((s) => s.name).join(", ")}`);
   } catch (err) {
     console.error("Failed to initialize WhatsApp session:", err?.message || err);
   }
 });
 
+setServer(server);
+
+process.on("SIGINT", () => shutdown("SIGINT"));
+process.on("SIGTERM", () => shutdown("SIGTERM"));
 process.on("unhandledRejection", (err) => console.error("UnhandledRejection:", err));
 process.on("uncaughtException", (err) => {
   console.error("UncaughtException:", err);
-  process.exit(1);
+  shutdown("uncaughtException", 1);
 });
\ No newline at end of file
@@ -0,0 +1,54 @@
+const { EventEmitter } = require("events");
+const db = require("./database/settingdb");
+const groupCache = require("./group-cache");
+const { pluginManager, formatError } = require("./plugins");
+
+const TYPES = ["connection", "command", "plugin-error", "settings-update", "settings-saved", "group-cache"];
+// hold SESSION_IDs and webhook signing secrets: the feed only says that they changed
+const SECRET_KEYS = ["sessions", "webhooks"];
+
+/**
+ * In-process feed of bot activity for dashboards (see routes/events.js).
+ * Every event is { id, type, at, ...data }, events about one chat carry `chat`.
+ * The last `history` events are kept so a reconnecting client can catch up.
+ */
+class ActivityFeed extends EventEmitter {
+  constructor(history = 200) {
+    super();
+    this.setMaxListeners(0); // one listener per open stream
+    this.history = history;
+    this.recent = [];
+    this.lastId = 0;
+  }
+
+  publish(type, data = {}) {
+    const event = { id: ++this.lastId, type, at: new Date().toISOString(), ...data };
+    this.recent.push(event);
+    if (this.recent.length > this.history) this.recent.shift();
+    this.emit("event", event);
+    return event;
+  }
+
+  since(id) {
+    return this.recent.filter((e) => e.id > id);
+  }
+}
+
+const activity = new ActivityFeed();
+
+db.on("update", (u) => {
+  const secret = u.scope === "global" && SECRET_KEYS.includes(u.plugin);
+  activity.publish("settings-update", {
+    scope: u.scope,
+    chat: u.jid,
+    plugin: u.plugin,
+    ...(secret ? { redacted: true } : { value: u.value }),
+  });
+});
+db.on("saved", (info = {}) => activity.publish("settings-saved", { durationMs: info.duration }));
+groupCache.on("refresh", ({ jid, subject, size }) => activity.publish("group-cache", { chat: jid, subject, size }));
+pluginManager.on("change", (res) => {
+  if (!res.ok) activity.publish("plugin-error", { plugin: res.name, action: res.action, error: formatError(res.error) });
+});
+
+module.exports = { activity, ActivityFeed, TYPES };
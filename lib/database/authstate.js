@@ -0,0 +1,119 @@
+// authstate.js
+// Baileys auth state stored through the settingsDB backend (postgres, mongodb, mysql, file://)
+// Drop-in replacement for useMultiFileAuthState so a session survives redeploys on ephemeral hosts.
+
+const fs = require('fs');
+const path = require('path');
+const db = require('./settingdb');
+
+/**
+ * useDatabaseAuthState(sessionName, opts)
+ * - creds are written immediately on saveCreds()
+ * - signal key writes are batched and flushed every `flushInterval` ms
+ * - `seedDir`: a useMultiFileAuthState folder (creds.json and the signal key files)
+ *   to import when the database has no creds yet, e.g. what downloadCreds() just restored
+ */
+async function useDatabaseAuthState(sessionName = 'main', { flushInterval = 1000, seedDir = null } = {}) {
+  const { initAuthCreds, BufferJSON, proto } = await import('baileys');
+  const prefix = `${sessionName}:`;
+  const credsId = `${prefix}creds`;
+  const encode = (value) => JSON.stringify(value, BufferJSON.replacer);
+  const decode = (raw) => JSON.parse(raw, BufferJSON.reviver);
+
+  const pending = new Map(); // Map<id, string|null>, newer than what the database holds
+  let timer = null;
+
+  const flush = async () => {
+    clearTimeout(timer);
+    timer = null;
+    if (!pending.size) return;
+    const batch = Object.fromEntries(pending);
+    pending.clear();
+    try {
+      await db.authSet(batch);
+    } catch (err) {
+      console.error('authState flush error:', err && err.message ? err.message : err);
+      // put back whatever wasn't overwritten in the meantime and try again later
+      for (const [id, value] of Object.entries(batch)) if (!pending.has(id)) pending.set(id, value);
+      schedule();
+    }
+  };
+
+  const schedule = () => {
+    if (timer) return;
+    timer = setTimeout(() => flush().catch(() => {}), flushInterval);
+    if (timer.unref) timer.unref();
+  };
+
+  let creds;
+  const stored = await db.authGet([credsId]);
+  if (stored.has(credsId)) {
+    creds = decode(stored.get(credsId));
+  } else if (seedDir && fs.existsSync(path.join(seedDir, 'creds.json'))) {
+    creds = decode(await fs.promises.readFile(path.join(seedDir, 'creds.json'), 'utf8'));
+    // "<type>-<id>.json" with "/" written as "__", stored as-is (same BufferJSON encoding)
+    const entries = { [credsId]: encode(creds) };
+    for (const file of await fs.promises.readdir(seedDir)) {
+      if (file === 'creds.json' || !file.endsWith('.json')) continue;
+      const id = file.slice(0, -'.json'.length).replace(/__/g, '/');
+      entries[`${prefix}${id}`] = await fs.promises.readFile(path.join(seedDir, file), 'utf8');
+    }
+    await db.authSet(entries);
+    console.log(`[✅] Imported ${Object.keys(entries).length} auth files into the database auth store`);
+  } else {
+    creds = initAuthCreds();
+  }
+
+  const state = {
+    creds,
+    keys: {
+      get: async (type, ids) => {
+        const keyIds = ids.map((id) => `${prefix}${type}-${id}`);
+        const missing = keyIds.filter((id) => !pending.has(id));
+        const rows = missing.length ? await db.authGet(missing) : new Map();
+        const out = {};
+        ids.forEach((id, i) => {
+          const keyId = keyIds[i];
+          const raw = pending.has(keyId) ? pending.get(keyId) : rows.get(keyId);
+          if (raw === null || raw === undefined) return;
+          let value = decode(raw);
+          if (type === 'app-state-sync-key' && value) {
+            value = proto.Message.AppStateSyncKeyData.fromObject(value);
+          }
+          out[id] = value;
+        });
+        return out;
+      },
+      set: async (data) => {
+        for (const type of Object.keys(data)) {
+          for (const id of Object.keys(data[type])) {
+            const value = data[type][id];
+            pending.set(`${prefix}${type}-${id}`, value ? encode(value) : null);
+          }
+        }
+        schedule();
+      }
+    }
+  };
+
+  return {
+    state,
+    saveCreds: async () => {
+      pending.set(credsId, encode(state.creds));
+      await flush();
+    },
+    flush,
+    clear: async () => {
+      pending.clear();
+      await db.authClear(prefix);
+    }
+  };
+}
+
+// Whether a session already has creds in the database
+async function hasDatabaseCreds(sessionName = 'main') {
+  const id = `${sessionName}:creds`;
+  return (await db.authGet([id])).has(id);
+}
+
+module.exports = { useDatabaseAuthState, hasDatabaseCreds };
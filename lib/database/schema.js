@@ -0,0 +1,116 @@
+// Settings schema: what a settings key holds, declared by plugins through Module({ settings })
+//
+//   settings: {
+//     ratelimit: { type: 'integer', min: 0, default: 20, description: 'Commands per user per minute' },
+//     mode: { values: ['public', 'private'], scope: 'global' }
+//   }
+//
+// type: boolean | number | integer | string | enum | list | object (guessed from values/default when missing)
+// scope: 'global' (bot wide only), 'group' (per group only) or 'any' (group override of a global value)
+
+const TYPES = ['boolean', 'number', 'integer', 'string', 'enum', 'list', 'object'];
+const SCOPES = ['global', 'group', 'any'];
+
+const TRUE = ['true', '1', 'yes', 'on', 'enable', 'enabled'];
+const FALSE = ['false', '0', 'no', 'off', 'disable', 'disabled'];
+
+function guessType(spec) {
+  if (spec.values) return 'enum';
+  const d = spec.default;
+  if (typeof d === 'boolean') return 'boolean';
+  if (typeof d === 'number') return Number.isInteger(d) ? 'integer' : 'number';
+  if (Array.isArray(d)) return 'list';
+  if (d && typeof d === 'object') return 'object';
+  return 'string';
+}
+
+function normalizeSpec(key, spec = {}) {
+  if (typeof spec !== 'object' || spec === null) throw new Error(`setting ${key}: spec must be an object`);
+  const type = spec.type || guessType(spec);
+  if (!TYPES.includes(type)) throw new Error(`setting ${key}: type must be one of ${TYPES.join(', ')}`);
+  const scope = spec.scope || 'any';
+  if (!SCOPES.includes(scope)) throw new Error(`setting ${key}: scope must be one of ${SCOPES.join(', ')}`);
+  if (type === 'enum' && !Array.isArray(spec.values)) throw new Error(`setting ${key}: enum needs values`);
+  return {
+    key,
+    type,
+    scope,
+    values: Array.isArray(spec.values) ? spec.values : undefined,
+    min: spec.min,
+    max: spec.max,
+    default: spec.default,
+    description: spec.description || ''
+  };
+}
+
+// { key: spec } from Module() into a list of normalized specs
+function normalizeSettings(settings) {
+  if (!settings) return [];
+  return Object.entries(settings).map(([key, spec]) => normalizeSpec(key, spec));
+}
+
+// allowed value (as declared) matching a typed one, case-insensitively
+function pick(spec, value) {
+  const wanted = String(value).toLowerCase();
+  const found = spec.values.find((v) => String(v).toLowerCase() === wanted);
+  if (found === undefined) throw new Error(`${spec.key} must be one of: ${spec.values.join(', ')}`);
+  return found;
+}
+
+/**
+ * Check a value against its spec. Strings (as typed in chat) are converted to
+ * the declared type, e.g. "on" -> true, "20" -> 20, "a, b" -> ['a', 'b'].
+ * @returns the value to store
+ * @throws {Error} with a message that can be shown to the user
+ */
+function coerce(spec, value) {
+  const { key, type } = spec;
+  const text = typeof value === 'string' ? value.trim() : value;
+  if (type === 'boolean') {
+    if (typeof text === 'boolean') return text;
+    const lower = String(text).toLowerCase();
+    if (TRUE.includes(lower)) return true;
+    if (FALSE.includes(lower)) return false;
+    throw new Error(`${key} must be on or off`);
+  }
+  if (type === 'number' || type === 'integer') {
+    const n = typeof text === 'number' ? text : text === '' || text === null ? NaN : Number(text);
+    if (!Number.isFinite(n)) throw new Error(`${key} must be a number`);
+    if (type === 'integer' && !Number.isInteger(n)) throw new Error(`${key} must be a whole number`);
+    if (spec.min !== undefined && n < spec.min) throw new Error(`${key} must be at least ${spec.min}`);
+    if (spec.max !== undefined && n > spec.max) throw new Error(`${key} must be at most ${spec.max}`);
+    return spec.values ? pick(spec, n) : n;
+  }
+  if (type === 'list') {
+    const list = Array.isArray(text) ? text : String(text ?? '').split(',').map((v) => v.trim()).filter(Boolean);
+    return spec.values ? list.map((v) => pick(spec, v)) : list;
+  }
+  if (type === 'object') {
+    let obj = text;
+    if (typeof text === 'string') {
+      try {
+        obj = JSON.parse(text);
+      } catch (_) {
+        throw new Error(`${key} must be a JSON object`);
+      }
+    }
+    if (!obj || typeof obj !== 'object' || Array.isArray(obj)) throw new Error(`${key} must be a JSON object`);
+    return obj;
+  }
+  // string / enum
+  if (text === undefined || text === null || typeof text === 'object') throw new Error(`${key} must be text`);
+  return spec.values ? pick(spec, text) : String(text);
+}
+
+// short human description of what a key accepts, e.g. "on/off" or "integer 0-100"
+function describe(spec) {
+  if (spec.type === 'boolean') return 'on/off';
+  if (spec.values) return `${spec.type === 'list' ? 'list of ' : ''}${spec.values.join(' | ')}`;
+  let text = spec.type === 'list' ? 'comma separated list' : spec.type === 'object' ? 'JSON object' : spec.type;
+  if (spec.min !== undefined && spec.max !== undefined) text += ` ${spec.min}-${spec.max}`;
+  else if (spec.min !== undefined) text += ` >= ${spec.min}`;
+  else if (spec.max !== undefined) text += ` <= ${spec.max}`;
+  return text;
+}
+
+module.exports = { normalizeSpec, normalizeSettings, coerce, describe, TYPES, SCOPES };
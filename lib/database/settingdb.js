@@ -1,14 +1,17 @@
 // settingsDB.js
 // CommonJS module for Node.js (Baileys bot)
-// Supports local JSON (default) OR PostgreSQL / MongoDB / MySQL / HTTP(file) as primary storage
+// Supports local JSON (default) OR PostgreSQL / MongoDB / MySQL / SQLite / Redis / HTTP(file) as primary storage
 
 const fs = require('fs');
 const path = require('path');
 const { EventEmitter } = require('events');
 const { URL } = require('url');
+const crypto = require('crypto');
+const { coerce } = require('./schema');
 
-// NOTE: DB drivers (pg, mongodb, mysql2) are required lazily only when a databaseUrl is provided.
-// Install the driver you need, e.g. `npm i pg` for Postgres, `npm i mongodb` for MongoDB, `npm i mysql2` for MySQL.
+// NOTE: DB drivers (pg, mongodb, mysql2, better-sqlite3, redis) are required lazily only when a databaseUrl is provided.
+// Install the driver you need, e.g. `npm i pg` for Postgres, `npm i mongodb` for MongoDB, `npm i mysql2` for MySQL,
+// `npm i better-sqlite3` for SQLite, `npm i redis` for Redis.
 
 const DEFAULT_FILE = path.join(__dirname, 'data', 'settings_db.json');
 
@@ -21,6 +24,15 @@ function toBool(v) {
   return Boolean(v);
 }
 
+const clone = (v) => (v === undefined ? undefined : JSON.parse(JSON.stringify(v)));
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// global keys the host itself writes (session list with credentials, login state); they
+// describe this machine, not the bot's settings, so export/import leave them alone
+const HOST_KEYS = ['sessions', 'connection_status', 'login'];
+const isHostKey = (key) => HOST_KEYS.includes(key.slice(key.lastIndexOf(':') + 1));
+const withoutHostKeys = (obj = {}) => Object.fromEntries(Object.entries(obj).filter(([key]) => !isHostKey(key)));
+
 class SettingsDB extends EventEmitter {
   constructor(opts = {}) {
     super();
@@ -29,25 +41,45 @@ class SettingsDB extends EventEmitter {
     this._startupTime = new Date().toISOString();
 
     // DB config (if provided via init opts)
-    this.databaseUrl = opts.databaseUrl || null; // e.g. postgres://..., mongodb://..., mysql://..., file:///..., https://...
+    this.databaseUrl = opts.databaseUrl || null; // e.g. postgres://..., mongodb://..., mysql://..., sqlite:///..., redis://..., file:///..., https://...
+    // 'keys': one row per global key / group on SQL and Mongo, 'single': everything in the `default` row
+    this.layout = opts.layout || 'keys';
     this._useDb = Boolean(this.databaseUrl);
-    this._dbType = null; // 'postgres'|'mongodb'|'mysql'|'file'|'http'|null
+    this._dbType = null; // 'postgres'|'mongodb'|'mysql'|'sqlite'|'redis'|'file'|'http'|null
 
     // DB client placeholders (initialized in init)
     this._pgPool = null;
     this._mongoClient = null;
     this._mongoDb = null;
     this._mysqlPool = null;
+    this._sqlite = null;
+    this._redis = null;
+    this._redisSub = null; // pub/sub needs its own connection
+    this._redisPrefix = 'kira:';
+    this._instanceId = crypto.randomUUID(); // skips our own change notifications
+    this._authFileQueue = Promise.resolve(); // file:// auth store writes, see _updateAuthFile()
 
     // In-memory caches
     this.globalSettings = Object.create(null); // plain object
     this.groupSettings = new Map(); // Map<jid, object>
     this.updateTimes = new Map(); // Map<jidOr'global', Map<pluginName, ISOstring>>
+    this.schema = new Map(); // Map<key, spec> declared by plugins, see schema.js
+    this.audit = new Map(); // Map<'global'|jid, entry[]> change log, oldest first, see _record()
+    this.auditLimits = {
+      maxEntries: opts.auditMaxEntries ?? 100, // per group / global, 0 keeps all
+      maxAge: opts.auditMaxAge ?? 30 * 24 * 60 * 60 * 1000 // ms, 0 keeps all
+    };
+    this._lastPrune = 0;
 
     // flags for persistence
     this._dirty = false;
     this._saving = false;
     this._pendingSave = false;
+    this._closed = false;
+    this._lastSavedAt = null;
+    this._lastSaveError = null;
+    this._dirtyKeys = new Set(); // "global:<key>" / "group:<jid>" changed since the last save
+    this._dirtyFields = new Map(); // "group:<jid>" / "audit:<scope>" -> Set of changed plugins / entry ids, null = all
 
     // ensure data dir exists
     this._ensureDir();
@@ -84,6 +116,21 @@ class SettingsDB extends EventEmitter {
             updated_at TIMESTAMPTZ DEFAULT NOW()
           )
         `);
+        await this._pgPool.query(`
+          CREATE TABLE IF NOT EXISTS bot_auth (
+            id TEXT PRIMARY KEY,
+            data TEXT NOT NULL
+          )
+        `);
+        await this._pgPool.query(`
+          CREATE TABLE IF NOT EXISTS bot_settings_kv (
+            id TEXT PRIMARY KEY,
+            kind TEXT NOT NULL,
+            name TEXT NOT NULL,
+            data JSONB NOT NULL,
+            updated_at TIMESTAMPTZ DEFAULT NOW()
+          )
+        `);
       } catch (e) {
         console.error('Postgres init error:', e);
         throw e;
@@ -122,6 +169,21 @@ class SettingsDB extends EventEmitter {
             updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
           )
         `);
+        await this._mysqlPool.execute(`
+          CREATE TABLE IF NOT EXISTS bot_auth (
+            id VARCHAR(255) PRIMARY KEY,
+            data LONGTEXT NOT NULL
+          )
+        `);
+        await this._mysqlPool.execute(`
+          CREATE TABLE IF NOT EXISTS bot_settings_kv (
+            id VARCHAR(255) PRIMARY KEY,
+            kind VARCHAR(10) NOT NULL,
+            name VARCHAR(255) NOT NULL,
+            data JSON,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+          )
+        `);
       } catch (e) {
         console.error('MySQL init error:', e);
         throw e;
@@ -129,6 +191,48 @@ class SettingsDB extends EventEmitter {
       return;
     }
 
+    if (proto === 'sqlite') {
+      this._dbType = 'sqlite';
+      const Database = require('better-sqlite3');
+      // sqlite:///abs/path/bot.db, or sqlite://./data/bot.db relative to the working dir
+      const target = path.resolve(decodeURIComponent(url.host + url.pathname));
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      this._sqlite = new Database(target);
+      this._sqlite.pragma('journal_mode = WAL');
+      this._sqlite.exec(`
+        CREATE TABLE IF NOT EXISTS bot_settings_kv (
+          id TEXT PRIMARY KEY,
+          kind TEXT NOT NULL,
+          name TEXT NOT NULL,
+          data TEXT NOT NULL,
+          updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE TABLE IF NOT EXISTS bot_auth (
+          id TEXT PRIMARY KEY,
+          data TEXT NOT NULL
+        );
+      `);
+      return;
+    }
+
+    if (proto === 'redis' || proto === 'rediss') {
+      this._dbType = 'redis';
+      const { createClient } = require('redis');
+      // redis://host:6379/0?prefix=bot1: keeps several bots apart on one server
+      if (url.searchParams.has('prefix')) this._redisPrefix = url.searchParams.get('prefix');
+      url.searchParams.delete('prefix');
+      this._redis = createClient({ url: url.toString() });
+      this._redis.on('error', (e) => console.error('Redis error:', e.message));
+      await this._redis.connect();
+      this._redisSub = this._redis.duplicate();
+      this._redisSub.on('error', (e) => console.error('Redis subscriber error:', e.message));
+      await this._redisSub.connect();
+      await this._redisSub.subscribe(this._redisKey('settings', 'changes'), (message) =>
+        this._onRemoteChange(message).catch((e) => console.error('settingsDB: remote change failed:', e.message))
+      );
+      return;
+    }
+
     if (proto === 'file') {
       this._dbType = 'file';
       // nothing else required
@@ -151,39 +255,49 @@ class SettingsDB extends EventEmitter {
     }
   }
 
-  async load() {
+  // localFallback: false starts empty instead of importing the local file into an empty database
+  // readOnly: only read, no upgrade of a `default` row, no initial file or import (migrate.js)
+  async load({ localFallback = true, readOnly = false } = {}) {
     // If DB configured, try loading from DB. If not found, fallback to local file (only when no DB or DB returns null).
     try {
       if (this._useDb) {
         await this.initClientsIfNeeded();
-        const data = await this._remoteLoad();
+        const data = this._usesKeyLayout()
+          ? (await this._kvLoad()) || (readOnly ? await this._remoteLoad() : await this._migrateDefaultRow())
+          : await this._remoteLoad();
         if (data) {
           // populate in-memory stores
-          this.globalSettings = data.globalSettings || {};
-          const gs = data.groupSettings || {};
-          this.groupSettings = new Map(Object.entries(gs));
-          const utRaw = data.updateTimes || {};
-          this.updateTimes = new Map(Object.entries(utRaw).map(([k, v]) => [k, new Map(Object.entries(v || {}))]));
+          this._apply(data);
+          this.pruneAudit();
           this._startupTime = new Date().toISOString();
           this._dirty = false;
           return true;
         }
         // else fall through to local file load if available
+        if (!localFallback) {
+          this._apply({});
+          return true;
+        }
       }
 
       if (!fs.existsSync(this.file)) {
-        await this._writeInitialFile();
+        if (readOnly) this._apply({});
+        else await this._writeInitialFile();
         return true;
       }
       const raw = await fs.promises.readFile(this.file, 'utf8');
       const json = JSON.parse(raw);
-      this.globalSettings = json.globalSettings || {};
-      const gs = json.groupSettings || {};
-      this.groupSettings = new Map(Object.entries(gs));
-      const utRaw = json.updateTimes || {};
-      this.updateTimes = new Map(Object.entries(utRaw).map(([k, v]) => [k, new Map(Object.entries(v || {}))]));
+      this._apply(json);
+      this.pruneAudit();
       this._startupTime = new Date().toISOString();
       this._dirty = false;
+      // an empty database starts from the local file, every row has to be written once
+      if (this._usesKeyLayout() && !readOnly) {
+        this._markAllDirty();
+        const count = this._dirtyKeys.size;
+        await this._kvSave();
+        console.log(`[✅] settingsDB: imported ${path.basename(this.file)} into ${this._dbType} (${count} rows)`);
+      }
       return true;
     } catch (err) {
       console.error('settingsDB.load error:', err);
@@ -199,6 +313,27 @@ class SettingsDB extends EventEmitter {
     }
   }
 
+  // plain-object view of the in-memory stores, the shape every backend persists
+  _snapshot() {
+    return {
+      globalSettings: this.globalSettings,
+      groupSettings: Object.fromEntries(this.groupSettings),
+      updateTimes: Object.fromEntries(
+        Array.from(this.updateTimes.entries()).map(([k, vMap]) => [k, Object.fromEntries(vMap)])
+      ),
+      audit: Object.fromEntries(this.audit)
+    };
+  }
+
+  _apply(data) {
+    this.globalSettings = data.globalSettings || {};
+    const gs = data.groupSettings || {};
+    this.groupSettings = new Map(Object.entries(gs));
+    const utRaw = data.updateTimes || {};
+    this.updateTimes = new Map(Object.entries(utRaw).map(([k, v]) => [k, new Map(Object.entries(v || {}))]));
+    this.audit = new Map(Object.entries(data.audit || {}));
+  }
+
   async _writeInitialFile() {
     this.globalSettings = {};
     this.groupSettings = new Map();
@@ -209,6 +344,8 @@ class SettingsDB extends EventEmitter {
   }
 
   async save() {
+    // the clients are gone after close()
+    if (this._closed) return;
     // Don't allow multiple simultaneous disk/DB writes; queue if necessary.
     if (this._saving) {
       this._pendingSave = true;
@@ -216,30 +353,29 @@ class SettingsDB extends EventEmitter {
     }
     this._saving = true;
     this._pendingSave = false;
+    const started = Date.now();
+    const backend = this._dbType || 'file';
     try {
-      const obj = {
-        globalSettings: this.globalSettings,
-        groupSettings: Object.fromEntries(this.groupSettings),
-        updateTimes: Object.fromEntries(
-          Array.from(this.updateTimes.entries()).map(([k, vMap]) => [k, Object.fromEntries(vMap)])
-        )
-      };
-
       if (this._useDb) {
         // DB-only behavior: write to DB (will throw on failure)
         await this.initClientsIfNeeded();
-        await this._remoteSave(obj);
+        if (this._usesKeyLayout()) await this._kvSave();
+        else await this._remoteSave(this._snapshot());
         this._dirty = false;
         this._saving = false;
-        this.emit('saved');
+        this._lastSavedAt = new Date().toISOString();
+        this._lastSaveError = null;
+        this.emit('saved', { duration: Date.now() - started, backend });
       } else {
         // Local JSON method (unchanged)
         const tmp = `${this.file}.tmp`;
-        await fs.promises.writeFile(tmp, JSON.stringify(obj, null, 2), 'utf8');
+        await fs.promises.writeFile(tmp, JSON.stringify(this._snapshot(), null, 2), 'utf8');
         await fs.promises.rename(tmp, this.file);
         this._dirty = false;
         this._saving = false;
-        this.emit('saved');
+        this._lastSavedAt = new Date().toISOString();
+        this._lastSaveError = null;
+        this.emit('saved', { duration: Date.now() - started, backend });
       }
 
       // if another save was requested while saving, run again
@@ -250,11 +386,15 @@ class SettingsDB extends EventEmitter {
     } catch (err) {
       this._saving = false;
       console.error('settingsDB.save error:', err);
+      this._lastSaveError = err && err.message ? err.message : String(err);
+      this.emit('saveFailed', { error: err, duration: Date.now() - started, backend });
       throw err;
     }
   }
 
   async _autoSave() {
+    // age limit for groups nobody changes anymore
+    if (Date.now() - this._lastPrune > 60 * 60 * 1000) this.pruneAudit();
     if (!this._dirty) return;
     await this.save();
   }
@@ -387,6 +527,570 @@ class SettingsDB extends EventEmitter {
     throw new Error('Unsupported DB type for remoteSave');
   }
 
+  // ---------- per-key layout (postgres / mysql / mongodb / sqlite / redis) ----------
+  // One row per global key ("global:<key>"), per group ("group:<jid>") and per change
+  // log ("audit:<global|jid>") in bot_settings_kv, a save only writes the rows that
+  // changed since the last one.
+  // SQLite and Redis have no `default` row to fall back to, they always use this layout.
+  _usesKeyLayout() {
+    if (this._dbType === 'sqlite' || this._dbType === 'redis') return true;
+    return this.layout === 'keys' && ['postgres', 'mysql', 'mongodb'].includes(this._dbType);
+  }
+
+  // field: the plugin (group) or entry id (audit) that changed, left out when the whole row did
+  _touch(kind, name, field) {
+    this._dirty = true;
+    const id = `${kind}:${name}`;
+    if (kind !== 'global') {
+      const fields = this._dirtyFields.get(id);
+      if (field === undefined) this._dirtyFields.set(id, null);
+      else if (fields !== null) this._dirtyFields.set(id, (fields || new Set()).add(field));
+    }
+    this._dirtyKeys.add(id);
+  }
+
+  _markAllDirty() {
+    for (const key of Object.keys(this.globalSettings)) this._touch('global', key);
+    for (const jid of this.groupSettings.keys()) this._touch('group', jid);
+    for (const scope of this.audit.keys()) this._touch('audit', scope);
+  }
+
+  _kvId(id) {
+    const i = id.indexOf(':');
+    return { kind: id.slice(0, i), name: id.slice(i + 1) };
+  }
+
+  // current content of one row, null when it should be deleted
+  _kvRow(id) {
+    const { kind, name } = this._kvId(id);
+    if (kind === 'global') {
+      if (this.globalSettings[name] === undefined) return null;
+      return { id, kind, name, data: { value: this.globalSettings[name], updatedAt: this.getUpdateTime('global', name) } };
+    }
+    if (kind === 'audit') {
+      const entries = this.audit.get(name);
+      return entries && entries.length ? { id, kind, name, data: { entries } } : null;
+    }
+    const settings = this.groupSettings.get(name);
+    if (!settings) return null;
+    return { id, kind, name, data: { settings, updateTimes: Object.fromEntries(this.updateTimes.get(name) || []) } };
+  }
+
+  async _kvSave() {
+    if (!this._dirtyKeys.size) return;
+    const ids = Array.from(this._dirtyKeys);
+    const fields = new Map(this._dirtyFields);
+    this._dirtyKeys.clear();
+    this._dirtyFields.clear();
+    const upserts = [];
+    const deletes = [];
+    for (const id of ids) {
+      const row = this._kvRow(id);
+      if (row) upserts.push(row);
+      else deletes.push(id);
+    }
+    try {
+      await this._kvWrite(upserts, deletes, fields);
+    } catch (err) {
+      // keep them for the next save
+      for (const id of ids) {
+        const { kind, name } = this._kvId(id);
+        const changed = fields.get(id);
+        if (changed) for (const field of changed) this._touch(kind, name, field);
+        else this._touch(kind, name);
+      }
+      throw err;
+    }
+  }
+
+  // fields: see _dirtyFields, only Redis writes single fields
+  async _kvWrite(upserts, deletes, fields = new Map()) {
+    if (this._dbType === 'postgres') {
+      const client = await this._pgPool.connect();
+      try {
+        await client.query('BEGIN');
+        for (const row of upserts) {
+          await client.query(
+            `INSERT INTO bot_settings_kv(id, kind, name, data) VALUES($1, $2, $3, $4)
+             ON CONFLICT (id) DO UPDATE SET data = EXCLUDED.data, updated_at = NOW()`,
+            [row.id, row.kind, row.name, row.data]
+          );
+        }
+        for (const id of deletes) {
+          await client.query('DELETE FROM bot_settings_kv WHERE id = $1', [id]);
+        }
+        await client.query('COMMIT');
+      } catch (e) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw e;
+      } finally {
+        client.release();
+      }
+      return;
+    }
+    if (this._dbType === 'mysql') {
+      const conn = await this._mysqlPool.getConnection();
+      try {
+        await conn.beginTransaction();
+        for (const row of upserts) {
+          await conn.execute(
+            `INSERT INTO bot_settings_kv (id, kind, name, data) VALUES (?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE data = VALUES(data), updated_at = CURRENT_TIMESTAMP`,
+            [row.id, row.kind, row.name, JSON.stringify(row.data)]
+          );
+        }
+        if (deletes.length) {
+          await conn.query('DELETE FROM bot_settings_kv WHERE id IN (?)', [deletes]);
+        }
+        await conn.commit();
+      } catch (e) {
+        await conn.rollback().catch(() => {});
+        throw e;
+      } finally {
+        conn.release();
+      }
+      return;
+    }
+    if (this._dbType === 'mongodb') {
+      const ops = upserts.map((row) => ({
+        updateOne: {
+          filter: { _id: row.id },
+          update: { $set: { kind: row.kind, name: row.name, data: row.data, updatedAt: new Date() } },
+          upsert: true
+        }
+      }));
+      if (deletes.length) ops.push({ deleteMany: { filter: { _id: { $in: deletes } } } });
+      if (ops.length) await this._mongoDb.collection('bot_settings_kv').bulkWrite(ops, { ordered: false });
+      return;
+    }
+    if (this._dbType === 'sqlite') {
+      const upsert = this._sqlite.prepare(
+        `INSERT INTO bot_settings_kv (id, kind, name, data) VALUES (?, ?, ?, ?)
+         ON CONFLICT (id) DO UPDATE SET data = excluded.data, updated_at = CURRENT_TIMESTAMP`
+      );
+      const del = this._sqlite.prepare('DELETE FROM bot_settings_kv WHERE id = ?');
+      this._sqlite.transaction(() => {
+        for (const row of upserts) upsert.run(row.id, row.kind, row.name, JSON.stringify(row.data));
+        for (const id of deletes) del.run(id);
+      })();
+      return;
+    }
+    if (this._dbType === 'redis') {
+      const globalKey = this._redisKey('settings', 'global');
+      const tx = this._redis.multi();
+      for (const row of upserts) {
+        if (row.kind === 'global') {
+          tx.hSet(globalKey, row.name, JSON.stringify(row.data));
+          continue;
+        }
+        // group plugins / audit entries are hash fields, only the changed ones are written so
+        // what other instances changed in the same group (or log) in the meantime stays
+        const [key, setKey] = this._redisHash(row.kind, row.name);
+        const values = new Map(
+          row.kind === 'audit'
+            ? row.data.entries.map((entry) => [entry.id, entry])
+            : Object.entries(row.data.settings).map(([plugin, value]) => [plugin, { value, updatedAt: row.data.updateTimes[plugin] || null }])
+        );
+        const changed = fields.get(row.id);
+        if (!changed) tx.del(key);
+        const set = {};
+        const removed = [];
+        for (const field of changed || values.keys()) {
+          if (values.has(field)) set[field] = JSON.stringify(values.get(field));
+          else removed.push(field);
+        }
+        if (Object.keys(set).length) tx.hSet(key, set);
+        if (removed.length) tx.hDel(key, removed);
+        tx.sAdd(setKey, row.name);
+      }
+      for (const id of deletes) {
+        const { kind, name } = this._kvId(id);
+        if (kind === 'global') {
+          tx.hDel(globalKey, name);
+        } else {
+          const [key, setKey] = this._redisHash(kind, name);
+          tx.del(key);
+          tx.sRem(setKey, name);
+        }
+      }
+      const ids = [...upserts.map((row) => row.id), ...deletes];
+      tx.publish(this._redisKey('settings', 'changes'), JSON.stringify({ from: this._instanceId, ids }));
+      await tx.exec();
+      return;
+    }
+    throw new Error(`Per-key layout is not supported for ${this._dbType}`);
+  }
+
+  // every row back into the { globalSettings, groupSettings, updateTimes } shape, null when empty
+  async _kvLoad() {
+    let rows;
+    if (this._dbType === 'postgres') {
+      rows = (await this._pgPool.query('SELECT kind, name, data FROM bot_settings_kv')).rows;
+    } else if (this._dbType === 'mysql') {
+      [rows] = await this._mysqlPool.query('SELECT kind, name, data FROM bot_settings_kv');
+    } else if (this._dbType === 'sqlite') {
+      rows = this._sqlite.prepare('SELECT kind, name, data FROM bot_settings_kv').all();
+    } else if (this._dbType === 'redis') {
+      rows = await this._redisRows();
+    } else {
+      rows = await this._mongoDb.collection('bot_settings_kv').find({}).toArray();
+    }
+    if (!rows || !rows.length) return null;
+    const out = { globalSettings: {}, groupSettings: {}, updateTimes: { global: {} }, audit: {} };
+    for (const row of rows) {
+      const data = typeof row.data === 'string' ? JSON.parse(row.data) : row.data;
+      if (row.kind === 'global') {
+        out.globalSettings[row.name] = data.value;
+        if (data.updatedAt) out.updateTimes.global[row.name] = data.updatedAt;
+      } else if (row.kind === 'audit') {
+        out.audit[row.name] = data.entries || [];
+      } else {
+        out.groupSettings[row.name] = data.settings || {};
+        out.updateTimes[row.name] = data.updateTimes || {};
+      }
+    }
+    return out;
+  }
+
+  // Split an existing single `default` row into per-key rows, the old row is kept as `default_migrated`
+  async _migrateDefaultRow() {
+    const legacy = await this._remoteLoad();
+    if (!legacy) return null;
+    this._apply(legacy);
+    this._markAllDirty();
+    const count = this._dirtyKeys.size;
+    await this._kvSave();
+    // a `default_migrated` left by an earlier migration is replaced, in one transaction
+    // so the `default` row never disappears on its own
+    const DROP_OLD = `DELETE FROM bot_settings WHERE id = 'default_migrated'`;
+    const RENAME = `UPDATE bot_settings SET id = 'default_migrated' WHERE id = 'default'`;
+    if (this._dbType === 'postgres') {
+      const client = await this._pgPool.connect();
+      try {
+        await client.query('BEGIN');
+        await client.query(DROP_OLD);
+        await client.query(RENAME);
+        await client.query('COMMIT');
+      } catch (e) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw e;
+      } finally {
+        client.release();
+      }
+    } else if (this._dbType === 'mysql') {
+      const conn = await this._mysqlPool.getConnection();
+      try {
+        await conn.beginTransaction();
+        await conn.execute(DROP_OLD);
+        await conn.execute(RENAME);
+        await conn.commit();
+      } catch (e) {
+        await conn.rollback().catch(() => {});
+        throw e;
+      } finally {
+        conn.release();
+      }
+    } else {
+      const col = this._mongoDb.collection('bot_settings');
+      await col.replaceOne({ _id: 'default_migrated' }, { data: legacy, updatedAt: new Date() }, { upsert: true });
+      await col.deleteOne({ _id: 'default' });
+    }
+    console.log(`[✅] settingsDB: moved the \`default\` row into ${count} per-key rows`);
+    return legacy;
+  }
+
+  // ---------- redis ----------
+  // <prefix>settings:global    hash  key -> { value, updatedAt }
+  // <prefix>settings:groups    set   jids that have settings
+  // <prefix>settings:group:<jid> hash plugin -> { value, updatedAt }
+  // <prefix>settings:audits    set   scopes ('global' / jids) that have a change log
+  // <prefix>settings:audit:<scope> hash entry id -> entry
+  // <prefix>settings:changes   channel, { from, ids } after every save
+  // <prefix>auth               hash  auth state id -> data
+  _redisKey(...parts) {
+    return this._redisPrefix + parts.join(':');
+  }
+
+  // [hash, set listing the hashes] of one group or change log
+  _redisHash(kind, name) {
+    return kind === 'audit'
+      ? [this._redisKey('settings', 'audit', name), this._redisKey('settings', 'audits')]
+      : [this._redisKey('settings', 'group', name), this._redisKey('settings', 'groups')];
+  }
+
+  async _redisAudit(scope) {
+    const hash = await this._redis.hGetAll(this._redisKey('settings', 'audit', scope));
+    return Object.values(hash).map((raw) => JSON.parse(raw)).sort((a, b) => a.at.localeCompare(b.at));
+  }
+
+  async _redisGroup(jid) {
+    const hash = await this._redis.hGetAll(this._redisKey('settings', 'group', jid));
+    const settings = {};
+    const updateTimes = {};
+    for (const [plugin, raw] of Object.entries(hash)) {
+      const { value, updatedAt } = JSON.parse(raw);
+      settings[plugin] = value;
+      if (updatedAt) updateTimes[plugin] = updatedAt;
+    }
+    return { settings, updateTimes };
+  }
+
+  // the same { kind, name, data } rows the SQL backends return
+  async _redisRows() {
+    const rows = [];
+    const globals = await this._redis.hGetAll(this._redisKey('settings', 'global'));
+    for (const [name, raw] of Object.entries(globals)) rows.push({ kind: 'global', name, data: JSON.parse(raw) });
+    const jids = await this._redis.sMembers(this._redisKey('settings', 'groups'));
+    for (const jid of jids) rows.push({ kind: 'group', name: jid, data: await this._redisGroup(jid) });
+    const scopes = await this._redis.sMembers(this._redisKey('settings', 'audits'));
+    for (const scope of scopes) rows.push({ kind: 'audit', name: scope, data: { entries: await this._redisAudit(scope) } });
+    return rows;
+  }
+
+  // Another instance saved: reload the rows it wrote and emit 'update' (with remote: true)
+  // for every value that changed, so running plugins see it like a local change.
+  // Values changed here and not saved yet are kept, the next save writes them.
+  async _onRemoteChange(message) {
+    const { from, ids = [] } = JSON.parse(message);
+    if (from === this._instanceId) return;
+    for (const id of ids) {
+      const { kind, name } = this._kvId(id);
+      const pending = this._dirtyKeys.has(id) ? this._dirtyFields.get(id) || null : undefined;
+      // the whole row (or a global key) is about to be overwritten anyway
+      if (pending === null || (kind === 'global' && this._dirtyKeys.has(id))) continue;
+      if (kind === 'audit') {
+        const entries = new Map((await this._redisAudit(name)).map((entry) => [entry.id, entry]));
+        const local = new Map((this.audit.get(name) || []).map((entry) => [entry.id, entry]));
+        for (const entryId of pending || []) {
+          if (local.has(entryId)) entries.set(entryId, local.get(entryId));
+          else entries.delete(entryId);
+        }
+        const list = Array.from(entries.values()).sort((a, b) => a.at.localeCompare(b.at));
+        if (list.length) this.audit.set(name, list);
+        else this.audit.delete(name);
+        continue;
+      }
+      if (kind === 'global') {
+        const raw = await this._redis.hGet(this._redisKey('settings', 'global'), name);
+        const times = this.updateTimes.get('global') || new Map();
+        this.updateTimes.set('global', times);
+        if (raw == null) {
+          if (!(name in this.globalSettings)) continue;
+          delete this.globalSettings[name];
+          times.delete(name);
+          this.emit('update', { scope: 'global', plugin: name, value: undefined, remote: true });
+          continue;
+        }
+        const { value, updatedAt } = JSON.parse(raw);
+        this.globalSettings[name] = value;
+        if (updatedAt) times.set(name, updatedAt);
+        this.emit('update', { scope: 'global', plugin: name, value, remote: true });
+        continue;
+      }
+      const exists = await this._redis.sIsMember(this._redisKey('settings', 'groups'), name);
+      if (!exists) {
+        if (this.groupSettings.delete(name)) {
+          this.updateTimes.delete(name);
+          this.emit('deleteGroup', { jid: name, remote: true });
+        }
+        continue;
+      }
+      const before = this.groupSettings.get(name) || {};
+      const { settings, updateTimes } = await this._redisGroup(name);
+      const times = this.updateTimes.get(name);
+      for (const plugin of pending || []) {
+        delete settings[plugin];
+        delete updateTimes[plugin];
+        if (before[plugin] !== undefined) settings[plugin] = before[plugin];
+        if (times && times.has(plugin)) updateTimes[plugin] = times.get(plugin);
+      }
+      this.groupSettings.set(name, settings);
+      this.updateTimes.set(name, new Map(Object.entries(updateTimes)));
+      for (const plugin of new Set([...Object.keys(before), ...Object.keys(settings)])) {
+        if (JSON.stringify(before[plugin]) === JSON.stringify(settings[plugin])) continue;
+        this.emit('update', { scope: 'group', jid: name, plugin, value: settings[plugin], remote: true });
+      }
+    }
+  }
+
+  // ---------- auth state storage (Baileys creds + signal keys) ----------
+  // Values are opaque strings keyed by id, kept apart from the settings data
+  // in a `bot_auth` table / collection (or a sibling *.auth.json for file://).
+  supportsAuthStore() {
+    return this._useDb && ['postgres', 'mongodb', 'mysql', 'sqlite', 'redis', 'file'].includes(this._dbType);
+  }
+
+  _authFile() {
+    const target = new URL(this.databaseUrl).pathname;
+    return `${target.replace(/\.json$/, '')}.auth.json`;
+  }
+
+  async _readAuthFile() {
+    const file = this._authFile();
+    if (!fs.existsSync(file)) return {};
+    return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  }
+
+  // read, change and write the auth file one batch at a time, so overlapping
+  // writes neither lose each other's keys nor share the temp file
+  _updateAuthFile(change) {
+    const run = this._authFileQueue.then(async () => {
+      const data = await this._readAuthFile();
+      change(data);
+      await this._writeAuthFile(data);
+    });
+    this._authFileQueue = run.catch(() => {});
+    return run;
+  }
+
+  async _writeAuthFile(data) {
+    const file = this._authFile();
+    await fs.promises.mkdir(path.dirname(file), { recursive: true }).catch(() => {});
+    const tmp = `${file}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(data), 'utf8');
+    await fs.promises.rename(tmp, file);
+  }
+
+  // Returns Map<id, string> for the ids that exist
+  async authGet(ids = []) {
+    await this.initClientsIfNeeded();
+    const out = new Map();
+    if (!ids.length) return out;
+    if (this._dbType === 'postgres') {
+      const res = await this._pgPool.query('SELECT id, data FROM bot_auth WHERE id = ANY($1)', [ids]);
+      for (const row of res.rows) out.set(row.id, row.data);
+      return out;
+    }
+    if (this._dbType === 'mongodb') {
+      const docs = await this._mongoDb.collection('bot_auth').find({ _id: { $in: ids } }).toArray();
+      for (const doc of docs) out.set(doc._id, doc.data);
+      return out;
+    }
+    if (this._dbType === 'mysql') {
+      const [rows] = await this._mysqlPool.query('SELECT id, data FROM bot_auth WHERE id IN (?)', [ids]);
+      for (const row of rows) out.set(row.id, row.data);
+      return out;
+    }
+    if (this._dbType === 'sqlite') {
+      const rows = this._sqlite
+        .prepare(`SELECT id, data FROM bot_auth WHERE id IN (${ids.map(() => '?').join(', ')})`)
+        .all(...ids);
+      for (const row of rows) out.set(row.id, row.data);
+      return out;
+    }
+    if (this._dbType === 'redis') {
+      const values = await this._redis.hmGet(this._redisKey('auth'), ids);
+      ids.forEach((id, i) => {
+        if (values[i] != null) out.set(id, values[i]);
+      });
+      return out;
+    }
+    if (this._dbType === 'file') {
+      const all = await this._readAuthFile();
+      for (const id of ids) if (all[id] !== undefined) out.set(id, all[id]);
+      return out;
+    }
+    throw new Error(`Auth state storage is not supported for ${this._dbType || 'local file'} settings`);
+  }
+
+  // Writes a batch: { id: string } upserts, { id: null } deletes
+  async authSet(entries = {}) {
+    await this.initClientsIfNeeded();
+    const all = Object.entries(entries);
+    const upserts = all.filter(([, v]) => v !== null && v !== undefined);
+    const deletes = all.filter(([, v]) => v === null || v === undefined).map(([id]) => id);
+    if (this._dbType === 'postgres') {
+      if (upserts.length) {
+        await this._pgPool.query(
+          `INSERT INTO bot_auth(id, data) SELECT * FROM unnest($1::text[], $2::text[])
+           ON CONFLICT (id) DO UPDATE SET data = EXCLUDED.data`,
+          [upserts.map(([id]) => id), upserts.map(([, v]) => v)]
+        );
+      }
+      if (deletes.length) await this._pgPool.query('DELETE FROM bot_auth WHERE id = ANY($1)', [deletes]);
+      return;
+    }
+    if (this._dbType === 'mongodb') {
+      const ops = [
+        ...upserts.map(([id, data]) => ({ updateOne: { filter: { _id: id }, update: { $set: { data } }, upsert: true } })),
+        ...deletes.map((id) => ({ deleteOne: { filter: { _id: id } } }))
+      ];
+      if (ops.length) await this._mongoDb.collection('bot_auth').bulkWrite(ops, { ordered: false });
+      return;
+    }
+    if (this._dbType === 'mysql') {
+      if (upserts.length) {
+        await this._mysqlPool.query(
+          'INSERT INTO bot_auth (id, data) VALUES ? ON DUPLICATE KEY UPDATE data = VALUES(data)',
+          [upserts]
+        );
+      }
+      if (deletes.length) await this._mysqlPool.query('DELETE FROM bot_auth WHERE id IN (?)', [deletes]);
+      return;
+    }
+    if (this._dbType === 'sqlite') {
+      const upsert = this._sqlite.prepare(
+        'INSERT INTO bot_auth (id, data) VALUES (?, ?) ON CONFLICT (id) DO UPDATE SET data = excluded.data'
+      );
+      const del = this._sqlite.prepare('DELETE FROM bot_auth WHERE id = ?');
+      this._sqlite.transaction(() => {
+        for (const [id, v] of upserts) upsert.run(id, v);
+        for (const id of deletes) del.run(id);
+      })();
+      return;
+    }
+    if (this._dbType === 'redis') {
+      const tx = this._redis.multi();
+      if (upserts.length) tx.hSet(this._redisKey('auth'), Object.fromEntries(upserts));
+      if (deletes.length) tx.hDel(this._redisKey('auth'), deletes);
+      await tx.exec();
+      return;
+    }
+    if (this._dbType === 'file') {
+      await this._updateAuthFile((data) => {
+        for (const [id, v] of upserts) data[id] = v;
+        for (const id of deletes) delete data[id];
+      });
+      return;
+    }
+    throw new Error(`Auth state storage is not supported for ${this._dbType || 'local file'} settings`);
+  }
+
+  // Delete every entry whose id starts with prefix (e.g. one session)
+  async authClear(prefix) {
+    await this.initClientsIfNeeded();
+    const like = `${prefix.replace(/[\\%_]/g, '\\$&')}%`;
+    if (this._dbType === 'postgres') {
+      await this._pgPool.query('DELETE FROM bot_auth WHERE id LIKE $1', [like]);
+      return;
+    }
+    if (this._dbType === 'mongodb') {
+      const escaped = prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      await this._mongoDb.collection('bot_auth').deleteMany({ _id: { $regex: `^${escaped}` } });
+      return;
+    }
+    if (this._dbType === 'mysql') {
+      await this._mysqlPool.query('DELETE FROM bot_auth WHERE id LIKE ?', [like]);
+      return;
+    }
+    if (this._dbType === 'sqlite') {
+      this._sqlite.prepare("DELETE FROM bot_auth WHERE id LIKE ? ESCAPE '\\'").run(like);
+      return;
+    }
+    if (this._dbType === 'redis') {
+      const ids = (await this._redis.hKeys(this._redisKey('auth'))).filter((id) => id.startsWith(prefix));
+      if (ids.length) await this._redis.hDel(this._redisKey('auth'), ids);
+      return;
+    }
+    if (this._dbType === 'file') {
+      await this._updateAuthFile((data) => {
+        for (const id of Object.keys(data)) if (id.startsWith(prefix)) delete data[id];
+      });
+      return;
+    }
+    throw new Error(`Auth state storage is not supported for ${this._dbType || 'local file'} settings`);
+  }
+
   // ---------- getters ----------
   getData(jid = null, opts = { mergeGlobalDefaults: false }) {
     if (!jid) {
@@ -412,69 +1116,369 @@ class SettingsDB extends EventEmitter {
   }
 
   // ---------- setters ----------
-  async set(jidOrPlugin, pluginName, value, { persist = true } = {}) {
+  // Every setter takes { persist, actor, source, audit } options: actor (a jid) and
+  // source ('command' | 'api' | 'migration' | 'system') end up in the change log,
+  // audit: false keeps runtime state such as connection_status out of it.
+  async set(jidOrPlugin, pluginName, value, opts = {}) {
     if (this._isJid(jidOrPlugin) && typeof pluginName === 'string') {
-      return this.setGroupPlugin(jidOrPlugin, pluginName, value, { persist });
+      return this.setGroupPlugin(jidOrPlugin, pluginName, value, opts);
     }
     if (typeof pluginName === 'undefined') {
       throw new Error('Invalid arguments. Use set("pluginKey", value) or set(jid, "pluginName", value).');
     }
-    return this.setGlobal(jidOrPlugin, pluginName, { persist });
+    return this.setGlobal(jidOrPlugin, pluginName, opts);
   }
 
-  async setGlobal(pluginKey, value, { persist = true } = {}) {
+  async setGlobal(pluginKey, value, { persist = true, ...log } = {}) {
+    value = this.validate(pluginKey, value, 'global');
+    const before = this.globalSettings[pluginKey];
     this.globalSettings[pluginKey] = value;
     this._setUpdateTime('global', pluginKey);
-    this._dirty = true;
+    this._touch('global', pluginKey);
+    this._record('global', pluginKey, before, value, log);
     this.emit('update', { scope: 'global', plugin: pluginKey, value });
     if (persist) await this.save().catch(() => {});
   }
 
-  async setGroupPlugin(jid, pluginName, value, { persist = true } = {}) {
+  async setGroupPlugin(jid, pluginName, value, { persist = true, ...log } = {}) {
+    value = this.validate(pluginName, value, 'group');
     const existing = this.groupSettings.get(jid) || {};
+    const before = existing[pluginName];
     existing[pluginName] = value;
     this.groupSettings.set(jid, existing);
     this._setUpdateTime(jid, pluginName);
-    this._dirty = true;
+    this._touch('group', jid, pluginName);
+    this._record(jid, pluginName, before, value, log);
     this.emit('update', { scope: 'group', jid, plugin: pluginName, value });
     if (persist) await this.save().catch(() => {});
   }
 
-  async toggleGlobal(pluginKey, { persist = true } = {}) {
+  async toggleGlobal(pluginKey, opts = {}) {
+    this._checkToggle(pluginKey);
     const current = Boolean(this.globalSettings[pluginKey]);
     const next = !current;
-    await this.setGlobal(pluginKey, next, { persist });
+    await this.setGlobal(pluginKey, next, opts);
     return next;
   }
 
-  async toggleGroupPlugin(jid, pluginKey, { persist = true } = {}) {
+  async toggleGroupPlugin(jid, pluginKey, { persist = true, ...log } = {}) {
+    this._checkToggle(pluginKey);
     const existing = this.groupSettings.get(jid) || {};
-    const current = Boolean(existing[pluginKey]);
-    const next = !current;
+    const before = existing[pluginKey];
+    const next = this.validate(pluginKey, !before, 'group');
     existing[pluginKey] = next;
     this.groupSettings.set(jid, existing);
     this._setUpdateTime(jid, pluginKey);
-    this._dirty = true;
+    this._touch('group', jid, pluginKey);
+    this._record(jid, pluginKey, before, next, log);
     this.emit('update', { scope: 'group', jid, plugin: pluginKey, value: next });
     if (persist) await this.save().catch(() => {});
     return next;
   }
 
-  async setGroupPluginConfig(jid, pluginName, configObj, { persist = true } = {}) {
+  async setGroupPluginConfig(jid, pluginName, configObj, { persist = true, ...log } = {}) {
     if (typeof configObj !== 'object' || configObj === null) {
       throw new Error('configObj must be an object');
     }
     const existing = this.groupSettings.get(jid) || {};
     const prev = existing[pluginName] || {};
-    existing[pluginName] = { ...prev, ...configObj };
+    const before = existing[pluginName];
+    existing[pluginName] = this.validate(pluginName, { ...prev, ...configObj }, 'group');
     this.groupSettings.set(jid, existing);
     this._setUpdateTime(jid, pluginName);
-    this._dirty = true;
+    this._touch('group', jid, pluginName);
+    this._record(jid, pluginName, before, existing[pluginName], log);
     this.emit('update', { scope: 'group', jid, plugin: pluginName, value: existing[pluginName] });
     if (persist) await this.save().catch(() => {});
     return existing[pluginName];
   }
 
+  // Remove a global key or a group override, resolves false when it wasn't set
+  async unset(scope, key, { persist = true, ...log } = {}) {
+    const store = scope === 'global' ? this.globalSettings : this.groupSettings.get(scope);
+    if (!store || store[key] === undefined) return false;
+    const before = store[key];
+    delete store[key];
+    this._setUpdateTime(scope, key);
+    if (scope === 'global') {
+      this._touch('global', key);
+      this.emit('update', { scope: 'global', plugin: key, value: undefined });
+    } else {
+      this._touch('group', scope, key);
+      this.emit('update', { scope: 'group', jid: scope, plugin: key, value: undefined });
+    }
+    this._record(scope, key, before, undefined, log);
+    if (persist) await this.save().catch(() => {});
+    return true;
+  }
+
+  // ---------- export / import ----------
+  /**
+   * Everything as one JSON-able object, or only one group (plus its change log) when jid is given.
+   * The shape is the one settings_db.json uses, so that file can be imported as well.
+   */
+  exportState({ jid = null } = {}) {
+    const meta = { format: 'kira-settings', version: 1, exportedAt: new Date().toISOString() };
+    if (!jid) {
+      const data = clone(this._snapshot());
+      data.globalSettings = withoutHostKeys(data.globalSettings);
+      if (data.updateTimes.global) data.updateTimes.global = withoutHostKeys(data.updateTimes.global);
+      if (data.audit.global) data.audit.global = data.audit.global.filter((e) => !isHostKey(e.key));
+      return { ...meta, ...data };
+    }
+    const times = this.updateTimes.get(jid);
+    return clone({
+      ...meta,
+      jid,
+      groupSettings: this.groupSettings.has(jid) ? { [jid]: this.groupSettings.get(jid) } : {},
+      updateTimes: times ? { [jid]: Object.fromEntries(times) } : {},
+      audit: this.audit.has(jid) ? { [jid]: this.audit.get(jid) } : {}
+    });
+  }
+
+  // { globalSettings, groupSettings } to import. With a jid only that group is taken;
+  // a single-group export made elsewhere lands on jid too.
+  _importSource(data, jid, mode) {
+    if (!data || typeof data !== 'object' || (!data.globalSettings && !data.groupSettings)) {
+      throw new Error('Not a settings export (needs globalSettings or groupSettings)');
+    }
+    const groups = data.groupSettings || {};
+    if (!jid) {
+      // a single-group export has no global keys, replacing with it would wipe them all
+      if (data.jid && mode === 'replace') throw new Error('This export holds one group only, import it inside a group or use merge');
+      return { globalSettings: withoutHostKeys(data.globalSettings), groupSettings: groups };
+    }
+    const jids = Object.keys(groups);
+    const settings = groups[jid] || (jids.length === 1 ? groups[jids[0]] : null);
+    if (!settings) throw new Error(`The export has no settings for ${jid}`);
+    return { globalSettings: {}, groupSettings: { [jid]: settings } };
+  }
+
+  /**
+   * What importing data would change: [{ scope: 'global'|jid, key, oldValue, newValue }],
+   * newValue undefined means the key is removed. 'merge' only adds and overwrites keys,
+   * 'replace' also removes the keys (and groups) the export doesn't have. The host's own
+   * keys (session list, login state) are neither exported nor imported.
+   */
+  diffState(data, { mode = 'merge', jid = null } = {}) {
+    if (!['merge', 'replace'].includes(mode)) throw new Error('mode must be merge or replace');
+    const incoming = this._importSource(data, jid, mode);
+    const changes = [];
+    const compare = (scope, current = {}, next = {}) => {
+      if (scope === 'global') current = withoutHostKeys(current);
+      for (const [key, value] of Object.entries(next)) {
+        if (!sameValue(current[key], value)) changes.push({ scope, key, oldValue: clone(current[key]), newValue: clone(value) });
+      }
+      if (mode !== 'replace') return;
+      for (const key of Object.keys(current)) {
+        if (next[key] === undefined) changes.push({ scope, key, oldValue: clone(current[key]), newValue: undefined });
+      }
+    };
+    if (!jid) compare('global', this.globalSettings, incoming.globalSettings);
+    const jids = new Set(Object.keys(incoming.groupSettings));
+    if (mode === 'replace' && !jid) for (const j of this.groupSettings.keys()) jids.add(j);
+    for (const j of jids) compare(j, this.groupSettings.get(j), incoming.groupSettings[j]);
+    return changes;
+  }
+
+  /**
+   * Apply an export (see diffState for the modes). Every value is validated before
+   * anything is written, so a bad one leaves the settings untouched. Each change is
+   * logged with source 'migration' unless the caller says otherwise.
+   * @returns {Promise<{ mode, dryRun, changes }>}
+   */
+  async importState(data, { mode = 'merge', jid = null, dryRun = false, ...log } = {}) {
+    const changes = this.diffState(data, { mode, jid });
+    for (const c of changes) {
+      if (c.newValue === undefined) continue;
+      try {
+        c.newValue = this.validate(c.key, c.newValue, c.scope === 'global' ? 'global' : 'group');
+      } catch (err) {
+        throw new Error(`${c.scope === 'global' ? '' : `${c.scope} `}${err.message}`);
+      }
+    }
+    if (dryRun || !changes.length) return { mode, dryRun, changes };
+    const opts = { source: 'migration', ...log, persist: false };
+    for (const c of changes) {
+      if (c.newValue === undefined) await this.unset(c.scope, c.key, opts);
+      else if (c.scope === 'global') await this.setGlobal(c.key, c.newValue, opts);
+      else await this.setGroupPlugin(c.scope, c.key, c.newValue, opts);
+    }
+    // groups a replace emptied out
+    for (const scope of new Set(changes.map((c) => c.scope))) {
+      const settings = this.groupSettings.get(scope);
+      if (settings && !Object.keys(settings).length) {
+        this.groupSettings.delete(scope);
+        this.updateTimes.delete(scope);
+        this._touch('group', scope);
+      }
+    }
+    await this.save();
+    return { mode, dryRun, changes };
+  }
+
+  // ---------- change log ----------
+  // One list per scope ('global' or a group jid) of
+  // { id, at, key, oldValue, newValue, actor, source, undoOf?, undoneBy? }.
+  // key '*' is a whole group removed by deleteGroup().
+  _record(scope, key, before, after, { actor = null, source = 'system', audit = true, undoOf } = {}) {
+    if (!audit || sameValue(before, after)) return null;
+    const entry = {
+      id: crypto.randomBytes(3).toString('hex'),
+      at: new Date().toISOString(),
+      key,
+      oldValue: clone(before),
+      newValue: clone(after),
+      actor,
+      source
+    };
+    const list = this.audit.get(scope) || [];
+    if (undoOf) {
+      entry.undoOf = undoOf;
+      const original = list.find((e) => e.id === undoOf);
+      if (original) {
+        original.undoneBy = entry.id;
+        this._touch('audit', scope, original.id);
+      }
+    }
+    list.push(entry);
+    this.audit.set(scope, list);
+    this._touch('audit', scope, entry.id);
+    this._pruneAudit(scope);
+    this.emit('audit', { scope, ...entry });
+    return entry;
+  }
+
+  // newest first, optionally only one key or the entries `filter` accepts
+  getHistory(scope = 'global', { limit = 20, key = null, filter = null } = {}) {
+    const list = (this.audit.get(scope) || []).filter((e) => (!key || e.key === key) && (!filter || filter(e)));
+    return list.slice(-limit).reverse();
+  }
+
+  /**
+   * Put back the value a change replaced. Without an id this is the latest change
+   * in scope that is not an undo and wasn't undone, so repeated calls walk back.
+   * Refuses when the key was changed again afterwards. `filter` limits which entries count.
+   * @returns {Promise<object>} the reverted entry
+   */
+  async undo(scope, id = null, { filter = null, ...log } = {}) {
+    const list = (this.audit.get(scope) || []).filter((e) => !filter || filter(e));
+    const entry = id
+      ? list.find((e) => e.id === id)
+      : [...list].reverse().find((e) => !e.undoneBy && !e.undoOf);
+    if (!entry) throw new Error(id ? `No change ${id} in the history` : 'Nothing to undo');
+    if (entry.undoneBy) throw new Error(`Change ${entry.id} was already undone`);
+    const current = entry.key === '*'
+      ? this.groupSettings.get(scope)
+      : scope === 'global' ? this.globalSettings[entry.key] : (this.groupSettings.get(scope) || {})[entry.key];
+    if (!sameValue(current, entry.newValue)) {
+      throw new Error(`${entry.key === '*' ? 'The group' : entry.key} changed again afterwards, undo that first`);
+    }
+    const opts = { ...log, undoOf: entry.id };
+    if (entry.key === '*') {
+      this.groupSettings.set(scope, clone(entry.oldValue));
+      this._touch('group', scope);
+      this._record(scope, '*', undefined, entry.oldValue, opts);
+      for (const [plugin, value] of Object.entries(entry.oldValue || {})) {
+        this.emit('update', { scope: 'group', jid: scope, plugin, value });
+      }
+      await this.save().catch(() => {});
+    } else if (entry.oldValue === undefined) {
+      await this.unset(scope, entry.key, opts);
+    } else if (scope === 'global') {
+      await this.setGlobal(entry.key, entry.oldValue, opts);
+    } else {
+      await this.setGroupPlugin(scope, entry.key, entry.oldValue, opts);
+    }
+    return entry;
+  }
+
+  // drop entries past the age limit, then the oldest past the count limit
+  _pruneAudit(scope) {
+    const list = this.audit.get(scope);
+    if (!list) return;
+    const { maxEntries, maxAge } = this.auditLimits;
+    let kept = maxAge > 0 ? list.filter((e) => Date.parse(e.at) >= Date.now() - maxAge) : list;
+    if (maxEntries > 0 && kept.length > maxEntries) kept = kept.slice(-maxEntries);
+    if (kept.length === list.length) return;
+    if (kept.length) this.audit.set(scope, kept);
+    else this.audit.delete(scope);
+    const ids = new Set(kept.map((e) => e.id));
+    for (const e of list) if (!ids.has(e.id)) this._touch('audit', scope, e.id);
+  }
+
+  pruneAudit() {
+    this._lastPrune = Date.now();
+    for (const scope of Array.from(this.audit.keys())) this._pruneAudit(scope);
+  }
+
+  // ---------- namespaces ----------
+  // Global settings of one bot session live under "<ns>:<key>" and fall back
+  // to the shared key, so every session can have its own prefix, mode, etc.
+  _scopedKey(ns, key) {
+    return ns ? `${ns}:${key}` : key;
+  }
+
+  scope(ns = null) {
+    // entries of this session's own declared keys: "<ns>:<key>", or the shared keys for ns null
+    const own = (entry) => {
+      const key = ns ? (entry.key.startsWith(`${ns}:`) ? entry.key.slice(ns.length + 1) : null) : entry.key;
+      return key !== null && !key.includes(':') && this.schema.has(key);
+    };
+    return {
+      namespace: ns,
+      getGlobal: (key) => {
+        const scoped = this.globalSettings[this._scopedKey(ns, key)];
+        return scoped !== undefined ? scoped : this.globalSettings[key];
+      },
+      // validated under the plain key, "<ns>:<key>" has no schema of its own
+      setGlobal: async (key, value, opts) =>
+        this.setGlobal(this._scopedKey(ns, key), this.validate(key, value, 'global'), opts),
+      getMultiple: (jid, keys, defaults) => this.getMultiple(jid, keys, defaults, ns),
+      // change log of the global keys, limited to this session's settings
+      getHistory: (opts = {}) => this.getHistory('global', { ...opts, filter: own }),
+      undo: async (id = null, log = {}) => this.undo('global', id, { ...log, filter: own }),
+      // drop every namespaced key, e.g. when a session is removed
+      clear: async ({ persist = true, ...log } = {}) => {
+        if (!ns) return;
+        for (const key of Object.keys(this.globalSettings)) {
+          if (!key.startsWith(`${ns}:`)) continue;
+          // connection_status / login are host state, written without an audit entry too
+          this._record('global', key, this.globalSettings[key], undefined, isHostKey(key) ? { ...log, audit: false } : log);
+          delete this.globalSettings[key];
+          this._touch('global', key);
+        }
+        if (persist) await this.save().catch(() => {});
+      }
+    };
+  }
+
+  // ---------- schema ----------
+  // Declared through Module({ settings }), replaced as a whole whenever plugins (re)load
+  setSchema(specs = []) {
+    this.schema = new Map(specs.map((spec) => [spec.key, spec]));
+  }
+
+  getSchema(key = null) {
+    if (key === null) return Array.from(this.schema.values());
+    return this.schema.get(key) || null;
+  }
+
+  // The value to store for key; throws a user-facing message when it doesn't fit
+  // the declared schema. Keys nobody declared are stored as given.
+  validate(key, value, scope = 'global') {
+    const spec = this.schema.get(key);
+    if (!spec) return value;
+    if (scope === 'group' && spec.scope === 'global') throw new Error(`${key} can only be set for the whole bot`);
+    if (scope === 'global' && spec.scope === 'group') throw new Error(`${key} can only be set per group`);
+    return coerce(spec, value);
+  }
+
+  _checkToggle(key) {
+    const spec = this.schema.get(key);
+    if (spec && spec.type !== 'boolean') throw new Error(`${key} is not an on/off setting`);
+  }
+
   // ---------- helpers ----------
   _isJid(val) {
     return typeof val === 'string' && (val.endsWith('@g.us') || val.includes('@'));
@@ -497,10 +1501,76 @@ class SettingsDB extends EventEmitter {
     return this._startupTime;
   }
 
-  deleteGroup(jid, { persist = true } = {}) {
+  // ---------- diagnostics ----------
+  _maskDatabaseUrl(url) {
+    try {
+      const urlObj = new URL(url);
+      if (urlObj.password) urlObj.password = '****';
+      return urlObj.toString();
+    } catch (e) {
+      return 'invalid url';
+    }
+  }
+
+  getDatabaseInfo() {
+    return {
+      usingLocalFile: !this._useDb,
+      storageType: this._useDb ? (this._dbType || 'database') : 'json',
+      location: this._useDb ? this._maskDatabaseUrl(this.databaseUrl) : this.file,
+      dirty: this._dirty,
+      lastSavedAt: this._lastSavedAt,
+      lastSaveError: this._lastSaveError
+    };
+  }
+
+  // Round trip to the storage backend, resolves { ok, latencyMs, error? } and never throws
+  async ping(timeout = 3000) {
+    const started = Date.now();
+    const check = async () => {
+      if (!this._useDb) {
+        await fs.promises.access(path.dirname(this.file), fs.constants.W_OK);
+        return;
+      }
+      await this.initClientsIfNeeded();
+      if (this._dbType === 'postgres') await this._pgPool.query('SELECT 1');
+      else if (this._dbType === 'mysql') await this._mysqlPool.query('SELECT 1');
+      else if (this._dbType === 'mongodb') await this._mongoDb.command({ ping: 1 });
+      else if (this._dbType === 'sqlite') this._sqlite.prepare('SELECT 1').get();
+      else if (this._dbType === 'redis') await this._redis.ping();
+      else if (this._dbType === 'file') await fs.promises.access(path.dirname(new URL(this.databaseUrl).pathname), fs.constants.W_OK);
+      else if (this._dbType === 'http') {
+        const httpMod = new URL(this.databaseUrl).protocol === 'https:' ? require('https') : require('http');
+        await new Promise((resolve, reject) => {
+          const req = httpMod.get(this.databaseUrl, (res) => {
+            res.destroy();
+            if (res.statusCode >= 500) reject(new Error(`HTTP ${res.statusCode}`));
+            else resolve();
+          });
+          req.on('error', reject);
+        });
+      }
+    };
+    let timer;
+    try {
+      await Promise.race([
+        check(),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error(`timed out after ${timeout}ms`)), timeout);
+        })
+      ]);
+      return { ok: true, latencyMs: Date.now() - started };
+    } catch (err) {
+      return { ok: false, latencyMs: Date.now() - started, error: err && err.message ? err.message : String(err) };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  deleteGroup(jid, { persist = true, ...log } = {}) {
+    this._record(jid, '*', this.groupSettings.get(jid), undefined, log);
     const existed = this.groupSettings.delete(jid);
     this.updateTimes.delete(jid);
-    this._dirty = true;
+    this._touch('group', jid);
     this.emit('deleteGroup', { jid });
     if (persist) this.save().catch(() => {});
     return existed;
@@ -512,19 +1582,27 @@ class SettingsDB extends EventEmitter {
 
   async close() {
     if (this._autosaveTimer) clearInterval(this._autosaveTimer);
-    await this.save().catch(() => {});
+    // a save() during a running one only queues, so let the running (and queued) ones
+    // finish, then write whatever is still dirty before the clients go away
+    while (this._saving) await new Promise((resolve) => setTimeout(resolve, 10));
+    if (this._dirty) await this.save().catch(() => {});
+    this._closed = true;
     try { if (this._pgPool) await this._pgPool.end(); } catch(_) {}
     try { if (this._mysqlPool) await this._mysqlPool.end(); } catch(_) {}
     try { if (this._mongoClient) await this._mongoClient.close(); } catch(_) {}
+    try { if (this._sqlite) this._sqlite.close(); } catch(_) {}
+    try { if (this._redisSub) await this._redisSub.close(); } catch(_) {}
+    try { if (this._redis) await this._redis.close(); } catch(_) {}
   }
 
   /**
    * getMultiple(jid, keys, defaults)
    * - Returns multiple settings in one call.
-   * - Priority: groupSetting -> globalSetting -> defaults[key]
+   * - Priority: groupSetting -> namespaced globalSetting (when ns given) -> globalSetting -> defaults[key] -> schema default
    * - If defaults[key] is boolean, result will be normalized to boolean.
+   * - Keys with a schema are converted to the declared type (falling back to the default when that fails).
    */
-  getMultiple(jid, keys = [], defaults = {}) {
+  getMultiple(jid, keys = [], defaults = {}, ns = null) {
     const out = {};
     const groupCfg = jid ? this.groupSettings.get(jid) : null;
     for (const key of keys) {
@@ -533,7 +1611,10 @@ class SettingsDB extends EventEmitter {
       if (groupCfg && groupCfg[key] !== undefined) {
         val = groupCfg[key];
       }
-      // 2) global fallback
+      // 2) namespaced global (one bot session), then shared global
+      else if (ns && this.globalSettings[this._scopedKey(ns, key)] !== undefined) {
+        val = this.globalSettings[this._scopedKey(ns, key)];
+      }
       else if (this.globalSettings[key] !== undefined) {
         val = this.globalSettings[key];
       }
@@ -541,8 +1622,20 @@ class SettingsDB extends EventEmitter {
       else {
         val = defaults[key];
       }
+      const spec = this.schema.get(key);
+      if (val === undefined && spec) val = spec.default;
       // normalize boolean if default is boolean
-      out[key] = (typeof defaults[key] === 'boolean') ? toBool(val) : val;
+      if (typeof defaults[key] === 'boolean') {
+        out[key] = toBool(val);
+      } else if (spec && val !== undefined) {
+        try {
+          out[key] = coerce(spec, val);
+        } catch (_) {
+          out[key] = defaults[key] !== undefined ? defaults[key] : spec.default;
+        }
+      } else {
+        out[key] = val;
+      }
     }
     return out;
   }
@@ -565,6 +1658,8 @@ module.exports = {
       _db.databaseUrl = opts.databaseUrl;
       _db._useDb = true;
     }
+    if (opts.layout) _db.layout = opts.layout;
+    if (opts.audit) Object.assign(_db.auditLimits, opts.audit);
     await _db.load();
     return _db;
   },
@@ -583,15 +1678,39 @@ module.exports = {
   setGroupPluginConfig: (jid, pluginName, configObj, opts) => _db.setGroupPluginConfig(jid, pluginName, configObj, opts),
   toggleGlobal: (pluginKey, opts) => _db.toggleGlobal(pluginKey, opts),
   toggleGroupPlugin: (jid, pluginKey, opts) => _db.toggleGroupPlugin(jid, pluginKey, opts),
+  // settings schema (see schema.js), validate() returns the coerced value or throws
+  setSchema: (specs) => _db.setSchema(specs),
+  getSchema: (key) => _db.getSchema(key),
+  validate: (key, value, scope) => _db.validate(key, value, scope),
   // get multiple in one call (fast, memory-only)
   getMultiple: (jid, keys, defaults) => _db.getMultiple(jid, keys, defaults),
+  // settings view namespaced to one bot session (null = shared keys)
+  scope: (ns) => _db.scope(ns),
   getStartupTime: () => _db.getStartupTime(),
+  getDatabaseInfo: () => _db.getDatabaseInfo(),
+  ping: (timeout) => _db.ping(timeout),
   getUpdateTime: (jidOrGlobal = 'global', pluginName) => _db.getUpdateTime(jidOrGlobal, pluginName),
   listGroups: () => _db.listGroups(),
+  deleteGroup: (jid, opts) => _db.deleteGroup(jid, opts),
+  unset: (scope, key, opts) => _db.unset(scope, key, opts),
+  // change log: newest first, undo(scope, id?) reverts one entry
+  getHistory: (scope, opts) => _db.getHistory(scope, opts),
+  undo: (scope, id, opts) => _db.undo(scope, id, opts),
+  pruneAudit: () => _db.pruneAudit(),
+  // move settings between hosts: exportState({ jid }), importState(data, { mode, jid, dryRun })
+  exportState: (opts) => _db.exportState(opts),
+  diffState: (data, opts) => _db.diffState(data, opts),
+  importState: (data, opts) => _db.importState(data, opts),
+  // Baileys auth state storage on the same backend
+  supportsAuthStore: () => _db.supportsAuthStore(),
+  authGet: (ids) => _db.authGet(ids),
+  authSet: (entries) => _db.authSet(entries),
+  authClear: (prefix) => _db.authClear(prefix),
   save: () => _db.save(),
   load: () => _db.load(),
   close: () => _db.close(),
   on: (ev, cb) => _db.on(ev, cb),
   off: (ev, cb) => _db.off(ev, cb),
+  SettingsDB,
   _internal: { _db }
 };
@@ -5,6 +5,7 @@ const { tmpdir } = require('os');
 const Crypto = require('crypto');
 const ffmpeg = require('fluent-ffmpeg');
 const ffmpegPath = require('@ffmpeg-installer/ffmpeg').path;
+const { trackConversion } = require('./metrics');
 
 ffmpeg.setFfmpegPath(ffmpegPath);
 
@@ -34,7 +35,7 @@ async function gifToVideo(gifBuffer) {
 
     fs.writeFileSync(gifPath, gifBuffer);
 
-    await new Promise((resolve, reject) => {
+    await trackConversion('gif_to_video', new Promise((resolve, reject) => {
         ffmpeg(gifPath)
             .outputOptions([
                 "-movflags faststart",
@@ -47,7 +48,7 @@ async function gifToVideo(gifBuffer) {
             })
             .on("end", resolve)
             .save(mp4Path);
-    });
+    }));
 
     const videoBuffer = fs.readFileSync(mp4Path);
     fs.unlinkSync(gifPath);
@@ -1,7 +1,10 @@
 const NodeCache = require('node-cache');
+const { EventEmitter } = require('events');
 
-class GroupCache {
+// emits 'refresh' { jid, subject, size } whenever fresh metadata is stored
+class GroupCache extends EventEmitter {
   constructor(ttl = 300) {
+    super();
     this.cache = new NodeCache({
       stdTTL: ttl,
       useClones: false,
@@ -12,7 +15,9 @@ class GroupCache {
     return this.cache.get(jid);
   }
   set(jid, metadata) {
-    return this.cache.set(jid, metadata);
+    const ok = this.cache.set(jid, metadata);
+    this.emit('refresh', { jid, subject: metadata?.subject, size: metadata?.participants?.length });
+    return ok;
   }
   delete(jid) {
     return this.cache.del(jid);
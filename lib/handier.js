@@ -2,6 +2,7 @@ const axios = require("axios");
 const fs = require("fs");
 const path = require("path");
 const config = require("../config");
+const { isLocalFormat, decodeSession, writeSessionFiles } = require("./session-codec");
 const BASE_URL = "https://x-kira-json-host.vercel.app";
 
 async function getJson(url, options) {
@@ -80,15 +81,25 @@ function extractToken(sessionId) {
   return null;
 }
 
-async function downloadCreds(sessionDir) {
+async function downloadCreds(sessionDir, credsId = config.SESSION_ID) {
   try {
-    const credsId = config.SESSION_ID;
     const sessionPath = path.join(sessionDir, "creds.json");
 
     if (fs.existsSync(sessionPath)) {
       console.log("SESSION CONNECTED 🌚")
       return sessionPath;
     }
+    if (!credsId) throw new Error("❌ SESSION_ID is empty");
+
+    // 🔹 Inline base64/gzip, encrypted or local file sessions
+    if (isLocalFormat(credsId)) {
+      console.log("[🔐] DETECTED LOCAL SESSION FORMAT");
+      const files = decodeSession(credsId);
+      writeSessionFiles(sessionDir, files);
+      console.log(`[✅] SESSION RESTORED (${Object.keys(files).length} files)`);
+      return sessionPath;
+    }
+
     // 🔹 STARK-MD~ Mega session support
     if (credsId.startsWith("STARK-MD~")) {
       console.log("[🕸️] DETECTED STARK-MD~SESSION FORMAT");
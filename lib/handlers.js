@@ -0,0 +1,300 @@
+const config = require("../config.js");
+const { version } = require("../package.json");
+const serialize = require("./serialize");
+const { findCommand, formatError } = require("./plugins");
+const { checkPermission, denialMessage } = require("./permissions");
+const { rateLimiter, slowDownMessage, commandName } = require("./ratelimit");
+const groupCache = require('./group-cache');
+const ChatQueue = require("./queue");
+const { webhooks, messagePayload } = require("./webhooks");
+const { activity } = require("./activity");
+const metrics = require("./metrics");
+
+// messages of one chat run in order, different chats in parallel
+const commandQueue = new ChatQueue(config.MAX_CONCURRENT_CHATS);
+
+//=================================================================================
+// Welcome message, sent once per login
+//=================================================================================
+async function sendWelcome(session, conn) {
+  const { jidNormalizedUser } = global.baileys;
+  const botNumber = conn.user.id.split(":")[0];
+  const botjid = jidNormalizedUser(conn.user.id);
+  try {
+    const login = session.settings.getGlobal('login');
+    if (login !== "true") {
+      await session.settings.setGlobal('login', 'true', { audit: false });
+      const start_msg = `
+*╭━━━〔🍓X-KIRA ━ 𝐁𝕺𝐓 𝐂𝐎𝐍𝐍𝐄𝐂𝐓𝐄𝐃〕━━━✦*
+*┃🌱 𝐂𝐎𝐍𝐍𝐄𝐂𝐓𝐄𝐃 : ${botNumber}*
+*┃👻 𝐏𝐑𝐄𝐅𝐈𝐗        : ${session.prefix}*
+*┃🔮 𝐌𝐎𝐃𝐄        : ${session.workType}*
+*┃🎐 𝐕𝐄𝐑𝐒𝐈𝐎𝐍      : ${version}*
+*╰━━━━━━━━━━━━━━━━━━╯*
+
+*╭━━━〔🛠️ 𝗧𝗜𝗣𝗦〕━━━━✦*
+*┃✧ 𝐓𝐘𝐏𝐄 .menu 𝐓𝐎 𝐕𝐈𝐄𝐖 𝐀𝐋𝐋*
+*┃✧ 𝐈𝐍𝐂𝐋𝐔𝐃𝐄𝐒 𝐅𝐔𝐍, 𝐆𝐀𝐌𝐄, 𝐒𝐓𝐘𝐋𝐄*
+*╰━━━━━━━━━━━━━━━━━╯*
+`;
+      await conn.sendMessage(botjid, {
+        text: start_msg,
+        contextInfo: {
+          mentionedJid: [botjid],
+          externalAdReply: {
+            title: "𝐓𝐇𝐀𝐍𝐊𝐒 𝐅𝐎𝐑 𝐂𝐇𝐎𝐎𝐒𝐈𝐍𝐆 X-kira",
+            body: "X-kira ━ 𝐁𝕺𝐓",
+            thumbnailUrl:
+              "https://i.postimg.cc/HxHtd9mX/Thjjnv-KOMGGBCr11ncd-Fv-CP8Z7o73mu-YPcif.jpg",
+            sourceUrl:
+              "https://whatsapp.com/channel/0029VaoRxGmJpe8lgCqT1T2h",
+            mediaType: 1,
+            renderLargerThumbnail: true,
+          },
+        },
+      });
+    } else {
+      console.log(`🍉  Connected to WhatsApp ${botNumber}`);
+    }
+  } catch (error) {
+    console.log(
+      `❌  Failed to send welcome message:`,
+      error.message
+    );
+  }
+}
+
+//=================================================================================
+// Group Participants Update Handler with Cache
+//=================================================================================
+async function onGroupsUpdate(session, conn, updates) {
+  webhooks.dispatch("groups", updates, { session: session.name });
+  for (const update of updates) {
+    try {
+      const metadata = await conn.groupMetadata(update.id);
+      groupCache.set(update.id, metadata);
+    } catch (error) {
+      console.error(`Error caching group ${update.id}:`, error.message);
+    }
+  }
+}
+
+async function onParticipantsUpdate(session, conn, event) {
+  webhooks.dispatch("group-participants", event, { session: session.name });
+  try {
+    const metadata = await conn.groupMetadata(event.id);
+    groupCache.set(event.id, metadata);
+    for (const plugin of session.plugins) {
+      if (plugin.on === "group-participants.update") {
+        try {
+          await plugin.exec(null, event, conn);
+        } catch (e) {
+          console.error("plugin exec error:", e);
+        }
+      }
+    }
+  } catch (error) {
+    console.error(`Error caching participants ${event.id}:`, error.message);
+  }
+}
+
+//=================================================================================
+// ANTI CALL Handler
+//=================================================================================
+async function onCall(session, conn, callData) {
+  try {
+    const calls = Array.isArray(callData) ? callData : [callData];
+    for (const call of calls) webhooks.dispatch("call", call, { session: session.name });
+    const anticall = session.settings.getGlobal("anticall");
+    if (!anticall) return;
+    for (const call of calls) {
+      if (call.isOffer || call.status === "offer") {
+        const from = call.from || call.chatId;
+        await conn.sendMessage(from, {
+          text: "Sorry, I do not accept calls.",
+        });
+        if (typeof conn.rejectCall === "function") {
+          await conn.rejectCall(call.id, from);
+        } else if (typeof conn.updateCallStatus === "function") {
+          await conn.updateCallStatus(call.id, "reject");
+        }
+        console.log(`❌ AntiCall: rejected call from ${from}`);
+      }
+    }
+  } catch (err) {
+    console.error("❌ AntiCall handler error:", err);
+  }
+}
+
+//=================================================================================
+// Messages Handler
+//=================================================================================
+async function onAutoFeatures(session, conn, m) {
+  const { getContentType } = global.baileys;
+  try {
+    if (m.type !== "notify") return;
+    for (let msg of m.messages) {
+      if (!msg?.message) continue;
+      // if (msg.key.fromMe) continue;
+      const jid = msg.key.remoteJid;
+      const participant =
+        msg.key.participant || msg.key.participantAlt || jid;
+      const mtype = getContentType(msg.message);
+      msg.message =
+        mtype === "ephemeralMessage"
+          ? msg.message.ephemeralMessage.message
+          : msg.message;
+      const setting = session.settings.getMultiple(
+        null,
+        [
+          'autoread',
+          'autotyping',
+          'autoreact',
+          'autostatus_seen',
+          'autostatus_react'
+        ],
+        {
+          autoread: config.AUTOREAD || false,
+          autotyping: config.AUTOTYPING || false,
+          autoreact: config.AUTOREACT || false,
+          autostatus_seen: config.STATUS_SEEN || false,
+          autostatus_react: config.STATUS_REACT || false
+        }
+      );
+      // ================= AUTO READ =================
+      if (setting.autoread === true) {
+        await conn.readMessages([msg.key]);
+      }
+      // ================= STATUS SEEN =================
+      if (jid === "status@broadcast" && setting.autostatus_seen === true) {
+        await conn.readMessages([msg.key]);
+      }
+      // ================= STATUS REACT =================
+      if (jid === "status@broadcast" && setting.autostatus_react === true) {
+        const emojis = ["💖", "❤️‍🔥", "💝", "💓", "❤️", "❣️", "💔", "💗", "💞", "🦋", "✨", "🌹", "🌸", "🌼"];
+        const randomEmoji =
+          emojis[Math.floor(Math.random() * emojis.length)];
+        const like = await conn.decodeJid(conn.user.id);
+        await conn.sendMessage(
+          jid,
+          { react: { text: randomEmoji, key: msg.key } },
+          { statusJidList: [participant, like] }
+        );
+      }
+      // ================= AUTO TYPING =================
+      if (setting.autotyping === true && jid !== "status@broadcast") {
+        await conn.sendPresenceUpdate("composing", jid);
+        setTimeout(async () => {
+          try {
+            await conn.sendPresenceUpdate("paused", jid);
+          } catch { }
+        }, Math.floor(Math.random() * 3000) + 2000);
+      }
+      // ================= AUTO REACT =================
+      if (setting.autoreact === true && jid !== "status@broadcast") {
+        const emojis = ["💖", "❤️‍🔥", "💝", "💓", "❤️", "❣️", "💔", "💗", "💞", "🦋", "✨", "🌹", "🌸", "🌼"];
+        const randomEmoji =
+          emojis[Math.floor(Math.random() * emojis.length)];
+        await conn.sendMessage(jid, {
+          react: { text: randomEmoji, key: msg.key }
+        });
+      }
+    }
+  } catch (err) {
+    console.error("❌ messages.upsert error:", err);
+  }
+}
+
+//=================================================================================
+// Command dispatcher, runs once per message through the per-chat queue
+//=================================================================================
+async function handleMessage(session, conn, raw) {
+  const { plugins } = session;
+  for (const plugin of plugins) {
+    if (plugin.on === "raw") {
+      try {
+        await plugin.exec(raw, conn);
+      } catch (e) {
+        console.error("plugin exec error:", e);
+      }
+    }
+  }
+  const message = await serialize(raw, conn);
+  if (!message) return;
+  session.lastMessageAt = new Date().toISOString();
+  metrics.messagesReceived.inc({ session: session.name, type: message.type || "unknown" });
+  webhooks.dispatch("message", messagePayload(message), { session: session.name });
+  if (!message.body) return;
+  console.log(
+    `\n User: ${message.sender}\nMessage: ${message.body}\nFrom: ${message.from}\n`
+  );
+  message.session = session;
+  const WORK_TYPE = session.workType;
+  const prefix = session.prefix;
+  // 🔹 command permission check
+  const cmdEvent =
+    WORK_TYPE === "public" ||
+    (WORK_TYPE === "private" && (message.isFromMe || message.isSudo));
+  if (!cmdEvent) return;
+  const found = findCommand(plugins, message.body, prefix);
+  if (found) {
+    const command = {
+      session: session.name,
+      chat: message.from,
+      sender: message.sender,
+      command: commandName(found.plugin),
+      body: message.body,
+    };
+    const denied = await checkPermission(found.plugin, message);
+    if (denied) {
+      metrics.commandsTotal.inc({ command: command.command, outcome: "denied" });
+      activity.publish("command", { ...command, outcome: "denied" });
+      await message.reply(denialMessage(denied));
+      return;
+    }
+    const limited = rateLimiter.check(found.plugin, message);
+    if (limited) {
+      metrics.commandsTotal.inc({ command: command.command, outcome: "limited" });
+      activity.publish("command", { ...command, outcome: "limited" });
+      if (limited.warn) await message.reply(slowDownMessage(limited));
+      return;
+    }
+    activity.publish("command", { ...command, outcome: "run" });
+    const endTimer = metrics.pluginDuration.startTimer({ command: command.command });
+    try {
+      await found.plugin.exec(message, found.match, found.groups);
+      metrics.commandsTotal.inc({ command: command.command, outcome: "ok" });
+    } catch (err) {
+      metrics.commandsTotal.inc({ command: command.command, outcome: "error" });
+      activity.publish("plugin-error", { ...command, error: formatError(err) });
+      throw err;
+    } finally {
+      endTimer();
+    }
+    return;
+  }
+  for (const plugin of plugins) {
+    if (plugin.on === "text" && message.body) {
+      await plugin.exec(message);
+    }
+  }
+}
+
+function onMessagesUpsert(session, conn, { messages, type }) {
+  if (type !== "notify" || !messages || !messages.length) return;
+  for (const raw of messages) {
+    if (!raw?.message) continue;
+    commandQueue.push(`${session.name}:${raw.key.remoteJid}`, () => handleMessage(session, conn, raw));
+  }
+}
+
+module.exports = {
+  sendWelcome,
+  onGroupsUpdate,
+  onParticipantsUpdate,
+  onCall,
+  onAutoFeatures,
+  onMessagesUpsert,
+  handleMessage,
+  commandQueue,
+};
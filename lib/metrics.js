@@ -0,0 +1,115 @@
+const client = require("prom-client");
+const db = require("./database/settingdb");
+const groupCache = require("./group-cache");
+const { activity } = require("./activity");
+
+// Prometheus metrics, served by routes/metrics.js
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: "kira_" });
+
+const messagesReceived = new client.Counter({
+  name: "kira_messages_received_total",
+  help: "Incoming messages by content type",
+  labelNames: ["session", "type"],
+  registers: [register],
+});
+
+const commandsTotal = new client.Counter({
+  name: "kira_commands_total",
+  help: "Commands by name and outcome (ok, error, denied, limited)",
+  labelNames: ["command", "outcome"],
+  registers: [register],
+});
+
+const pluginDuration = new client.Histogram({
+  name: "kira_plugin_exec_duration_seconds",
+  help: "Time spent in a command's plugin exec",
+  labelNames: ["command"],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register],
+});
+
+const mediaDuration = new client.Histogram({
+  name: "kira_media_conversion_duration_seconds",
+  help: "ffmpeg conversions (stickers, gif to video, mp3 tagging)",
+  labelNames: ["operation", "status"],
+  buckets: [0.1, 0.25, 0.5, 1, 2, 5, 10, 20, 60],
+  registers: [register],
+});
+
+const settingsSaveDuration = new client.Histogram({
+  name: "kira_settings_save_duration_seconds",
+  help: "settingsDB save latency",
+  labelNames: ["backend"],
+  buckets: [0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+  registers: [register],
+});
+
+const settingsSaveFailures = new client.Counter({
+  name: "kira_settings_save_failures_total",
+  help: "settingsDB saves that threw",
+  labelNames: ["backend"],
+  registers: [register],
+});
+
+const reconnects = new client.Counter({
+  name: "kira_reconnects_total",
+  help: "Connection closes by DisconnectReason, each one leads to a reconnect unless logged out",
+  labelNames: ["session", "reason"],
+  registers: [register],
+});
+
+// node-cache keeps its own running totals, read them at scrape time
+for (const [stat, help] of [
+  ["hits", "Group metadata cache hits"],
+  ["misses", "Group metadata cache misses"],
+  ["keys", "Groups currently cached"],
+]) {
+  new client.Gauge({
+    name: `kira_group_cache_${stat}`,
+    help,
+    registers: [register],
+    collect() {
+      this.set(groupCache.getStats()[stat] || 0);
+    },
+  });
+}
+
+db.on("saved", (info = {}) => {
+  if (info.duration !== undefined) settingsSaveDuration.observe({ backend: info.backend }, info.duration / 1000);
+});
+db.on("saveFailed", (info = {}) => {
+  settingsSaveFailures.inc({ backend: info.backend });
+  if (info.duration !== undefined) settingsSaveDuration.observe({ backend: info.backend }, info.duration / 1000);
+});
+
+activity.on("event", (e) => {
+  if (e.type === "connection" && e.state === "closed" && e.lastDisconnect) {
+    reconnects.inc({ session: e.session, reason: e.lastDisconnect.reason });
+  }
+});
+
+/**
+ * Time a media conversion promise, returns its result unchanged.
+ * @param {string} operation - e.g. "sticker", "gif_to_video"
+ * @param {Promise} promise
+ */
+async function trackConversion(operation, promise) {
+  const end = mediaDuration.startTimer({ operation });
+  try {
+    const result = await promise;
+    end({ status: "ok" });
+    return result;
+  } catch (err) {
+    end({ status: "error" });
+    throw err;
+  }
+}
+
+module.exports = {
+  register,
+  messagesReceived,
+  commandsTotal,
+  pluginDuration,
+  trackConversion,
+};
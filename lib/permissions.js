@@ -0,0 +1,47 @@
+const DENIED = {
+  self: "_❌ This command only works from the bot's own number_",
+  owner: "_❌ This command is only for the bot owner and sudo users_",
+  sudo: "_❌ This command is only for the bot owner and sudo users_",
+  admin: "_❌ This command is only for group admins_",
+  group: "_❌ This command can only be used in groups_",
+  private: "_❌ This command can only be used in private chat_",
+  botAdmin: "_❌ Make me a group admin first_",
+};
+
+const LEVELS = ["self", "owner", "sudo", "admin", "group", "private"];
+
+// sudo users are co-maintainers: they pass owner checks on their own phones too,
+// only `self` (managing the sudo list itself) is kept to the bot's own number
+const isOwner = (message) => Boolean(message.isFromMe || message.isSudo);
+const isSudo = isOwner;
+
+/**
+ * Check a plugin's `permission` and `botAdmin` requirements against a message.
+ * Group metadata is loaded on demand when an admin check needs it.
+ * @param {object} plugin - Registered plugin from Module().
+ * @param {object} message - Serialized message.
+ * @returns {Promise<string|null>} Denial reason (a key of DENIED), or null when allowed.
+ */
+async function checkPermission(plugin, message) {
+  const level = plugin.permission;
+  const needsGroupInfo = level === "admin" || Boolean(plugin.botAdmin);
+  if (level && !LEVELS.includes(level)) {
+    console.warn(`⚠️ Unknown permission '${level}' on command ${plugin.command}`);
+  }
+  if ((level === "group" || needsGroupInfo) && !message.isGroup) return "group";
+  if (level === "private" && message.isGroup) return "private";
+  if (level === "self" && !message.isFromMe) return "self";
+  if (level === "owner" && !isOwner(message)) return "owner";
+  if (level === "sudo" && !isSudo(message)) return "sudo";
+  if (needsGroupInfo && message.groupAdmins === undefined) {
+    await message.loadGroupInfo();
+  }
+  // owners are trusted with admin commands too
+  if (level === "admin" && !message.isAdmin && !isSudo(message)) return "admin";
+  if (plugin.botAdmin && !message.isBotAdmin) return "botAdmin";
+  return null;
+}
+
+const denialMessage = (reason) => DENIED[reason] || DENIED.owner;
+
+module.exports = { checkPermission, denialMessage, isOwner, isSudo, LEVELS };
@@ -1,19 +1,230 @@
 const fs = require('fs');
 const path = require('path');
+const { EventEmitter } = require('events');
+const config = require('../config');
+const db = require('./database/settingdb');
+const { normalizeSettings } = require('./database/schema');
 const commands = [];
+
+function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Turn `command`, `alias`/`aliases` and `pattern` into one list of anchored
+// RegExps so the dispatcher only has a single way of matching a command.
+function buildTriggers(data) {
+    const names = [].concat(
+        data.command ?? [],
+        data.alias ?? [],
+        data.aliases ?? [],
+        data.pattern ?? []
+    );
+    return names.filter(Boolean).map((name) => {
+        if (name instanceof RegExp) {
+            // drop stateful flags, exec() must not depend on lastIndex
+            let flags = name.flags.replace(/[gy]/g, '');
+            if (data.ignoreCase && !flags.includes('i')) flags += 'i';
+            return new RegExp(name.source, flags);
+        }
+        return new RegExp(`^${escapeRegExp(String(name))}$`, data.ignoreCase ? 'i' : '');
+    });
+}
+
+/**
+ * Register a plugin.
+ * @param {object} data
+ * @param {string|RegExp|Array<string|RegExp>} [data.command] - Primary name(s) or pattern(s).
+ * @param {string|string[]} [data.alias] - Extra names, `aliases` is accepted too.
+ * @param {RegExp} [data.pattern] - Pattern tested against the command word, e.g. /^(yt|youtube)(a|v)?$/.
+ * @param {boolean} [data.ignoreCase] - Match names and patterns case-insensitively.
+ * @param {boolean} [data.noPrefix] - Also trigger when the message does not start with the prefix.
+ * @param {'self'|'owner'|'sudo'|'admin'|'group'|'private'} [data.permission] - Who may run it, enforced by the dispatcher.
+ * @param {boolean} [data.botAdmin] - Only run in groups where the bot is an admin.
+ * @param {number|{user?: number, chat?: number, global?: number}} [data.cooldown] - Seconds between
+ * runs; a number is a per-user cooldown.
+ * @param {Object<string, object>} [data.settings] - Settings keys the plugin reads, by key:
+ * { type, values, min, max, default, description, scope }. Writes to them are validated
+ * by settingsDB and they show up in getvar/setvar (see database/schema.js).
+ * @returns {(exec: Function) => void} exec is called as exec(message, match, groups),
+ * where groups is the RegExp match of the command word.
+ */
 function Module(data) {
     return (execFunction) => {
-        commands.push({ ...data, exec: execFunction });
+        pluginManager._register({
+            ...data,
+            triggers: buildTriggers(data),
+            settings: normalizeSettings(data.settings),
+            exec: execFunction,
+        });
     };
 }
-function loadPlugins(dir = path.join(__dirname, '..', 'plugins')) {
-    fs.readdirSync(dir).forEach(file => {
-        if (file.endsWith('.js')) {
-            require(path.join(dir, file));
-            console.log('✅ plugin:', file);
+
+/**
+ * Find the plugin answering a message body.
+ * @returns {{ plugin: object, cmd: string, match: string, groups: RegExpExecArray } | null}
+ */
+function findCommand(plugins, body, prefix = '.') {
+    const hasPrefix = body.startsWith(prefix);
+    const [cmd, ...args] = (hasPrefix ? body.slice(prefix.length) : body)
+        .trim()
+        .split(' ');
+    if (!cmd) return null;
+    for (const plugin of plugins) {
+        if (!hasPrefix && !plugin.noPrefix) continue;
+        for (const trigger of plugin.triggers || []) {
+            const groups = trigger.exec(cmd);
+            if (groups) return { plugin, cmd, match: args.join(' '), groups };
+        }
+    }
+    return null;
+}
+
+// Short, chat-friendly version of a load error (keeps the file:line and caret of SyntaxErrors)
+function formatError(err) {
+    const stack = String(err?.stack || err);
+    return stack.split('\n').slice(0, 6).join('\n');
+}
+
+/**
+ * Owns every plugin registration, grouped by the file that made it, so a file
+ * can be loaded, replaced or removed without touching the others.
+ * `commands` is kept as the same array instance and rebuilt in place.
+ */
+class PluginManager extends EventEmitter {
+    constructor(dir) {
+        super();
+        this.dir = dir;
+        this.registry = new Map(); // Map<file, plugin[]>
+        this.errors = new Map(); // Map<file, Error>
+        this.loaded = false;
+        this._loading = null;
+        this._watcher = null;
+        this._timers = new Map();
+    }
+
+    _register(plugin) {
+        if (this._loading) {
+            this._loading.push(plugin);
+            return;
         }
-    });
+        // Module() called outside of a plugin file load
+        const inline = this.registry.get(null) || [];
+        inline.push(plugin);
+        this.registry.set(null, inline);
+        this._rebuild();
+    }
+
+    _rebuild() {
+        const next = [];
+        for (const list of this.registry.values()) next.push(...list);
+        commands.splice(0, commands.length, ...next);
+        db.setSchema(next.flatMap((plugin) => plugin.settings));
+    }
+
+    resolve(name) {
+        const base = path.basename(String(name || '').trim());
+        if (!base || base === '.js') throw new Error('Plugin name required');
+        return path.join(this.dir, base.endsWith('.js') ? base : `${base}.js`);
+    }
+
+    /**
+     * (Re)load one plugin file. Its previous registrations are only replaced
+     * once the new code has been required successfully.
+     * @returns {{ ok: boolean, name: string, count?: number, error?: Error }}
+     */
+    load(name) {
+        const file = this.resolve(name);
+        const result = { name: path.basename(file) };
+        if (!fs.existsSync(file)) {
+            return { ...result, ok: false, error: new Error(`${result.name} not found`) };
+        }
+        delete require.cache[require.resolve(file)];
+        const registered = [];
+        this._loading = registered;
+        try {
+            require(file);
+        } catch (err) {
+            this.errors.set(file, err);
+            return { ...result, ok: false, error: err };
+        } finally {
+            this._loading = null;
+        }
+        this.errors.delete(file);
+        this.registry.set(file, registered);
+        this._rebuild();
+        return { ...result, ok: true, count: registered.length };
+    }
+
+    unload(name) {
+        const file = this.resolve(name);
+        const result = { name: path.basename(file) };
+        delete require.cache[file];
+        this.errors.delete(file);
+        if (!this.registry.delete(file)) {
+            return { ...result, ok: false, error: new Error(`${result.name} is not loaded`) };
+        }
+        this._rebuild();
+        return { ...result, ok: true };
+    }
+
+    reload(name) {
+        return this.load(name);
+    }
+
+    list() {
+        return Array.from(this.registry.keys()).filter(Boolean).map((file) => path.basename(file));
+    }
+
+    loadAll() {
+        if (!fs.existsSync(this.dir)) fs.mkdirSync(this.dir, { recursive: true });
+        const results = fs.readdirSync(this.dir)
+            .filter((file) => file.endsWith('.js'))
+            .map((file) => this.load(file));
+        for (const res of results) {
+            if (res.ok) console.log('✅ plugin:', res.name);
+            else console.error('❌ plugin:', res.name, '\n' + formatError(res.error));
+        }
+        this.loaded = true;
+        return results;
+    }
+
+    // Reload plugin files as they change on disk, emits 'change' with the load/unload result.
+    watch() {
+        if (this._watcher) return;
+        this._watcher = fs.watch(this.dir, (event, filename) => {
+            if (!filename || !filename.endsWith('.js')) return;
+            // editors fire several events per save, only act on the last one
+            clearTimeout(this._timers.get(filename));
+            this._timers.set(filename, setTimeout(() => {
+                this._timers.delete(filename);
+                const exists = fs.existsSync(path.join(this.dir, filename));
+                const res = exists ? this.load(filename) : this.unload(filename);
+                if (res.ok) console.log(`🔁 plugin ${exists ? 'reloaded' : 'unloaded'}:`, res.name);
+                else console.error('❌ plugin:', res.name, '\n' + formatError(res.error));
+                this.emit('change', { ...res, action: exists ? 'load' : 'unload' });
+            }, 300));
+        });
+        this._watcher.on('error', (err) => console.error('plugin watcher error:', err.message));
+    }
+
+    unwatch() {
+        if (this._watcher) this._watcher.close();
+        this._watcher = null;
+        for (const timer of this._timers.values()) clearTimeout(timer);
+        this._timers.clear();
+    }
+}
+
+const pluginManager = new PluginManager(path.join(__dirname, '..', 'plugins'));
+
+// Safe to call on every reconnect: plugins are only loaded (and watched) once.
+function loadPlugins(dir) {
+    if (dir) pluginManager.dir = dir;
+    if (!pluginManager.loaded) {
+        pluginManager.loadAll();
+        if (config.HOT_RELOAD) pluginManager.watch();
+    }
     return commands;
 }
 
-module.exports = { Module, loadPlugins, commands };
+module.exports = { Module, loadPlugins, findCommand, formatError, pluginManager, commands };
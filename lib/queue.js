@@ -0,0 +1,88 @@
+/**
+ * Runs tasks one after another per key (a chat jid) while up to `concurrency`
+ * different keys are processed in parallel.
+ */
+class ChatQueue {
+  constructor(concurrency = 5) {
+    this.concurrency = Math.max(1, concurrency);
+    this.queues = new Map(); // Map<key, task[]>, present while the key is waiting or running
+    this.waiting = []; // keys waiting for a free slot
+    this.active = new Set();
+    this.closed = false;
+    this._idle = []; // resolvers waiting for the queue to empty
+  }
+
+  push(key, task) {
+    if (this.closed) return false;
+    const queue = this.queues.get(key);
+    if (queue) {
+      queue.push(task);
+      return true;
+    }
+    this.queues.set(key, [task]);
+    this.waiting.push(key);
+    this._next();
+    return true;
+  }
+
+  _next() {
+    while (this.active.size < this.concurrency && this.waiting.length) {
+      const key = this.waiting.shift();
+      this.active.add(key);
+      this._drain(key);
+    }
+  }
+
+  async _drain(key) {
+    const queue = this.queues.get(key);
+    while (queue.length) {
+      const task = queue.shift();
+      try {
+        await task();
+      } catch (err) {
+        console.error(`❌ queue task error (${key}):`, err);
+      }
+    }
+    this.queues.delete(key);
+    this.active.delete(key);
+    this._next();
+    if (!this.size) this._idle.splice(0).forEach((resolve) => resolve(true));
+  }
+
+  // number of tasks not finished yet
+  get size() {
+    let total = 0;
+    for (const queue of this.queues.values()) total += queue.length;
+    return total + this.active.size;
+  }
+
+  // Stop taking new tasks; whatever is already queued still runs
+  close() {
+    this.closed = true;
+  }
+
+  /**
+   * Wait until every queued task has finished.
+   * @param {number} [timeout] - ms, resolves false when the queue is still busy by then
+   * @returns {Promise<boolean>}
+   */
+  drain(timeout = 0) {
+    if (!this.size) return Promise.resolve(true);
+    return new Promise((resolve) => {
+      let timer;
+      const done = (drained) => {
+        clearTimeout(timer);
+        resolve(drained);
+      };
+      this._idle.push(done);
+      if (timeout > 0) {
+        timer = setTimeout(() => {
+          this._idle = this._idle.filter((fn) => fn !== done);
+          resolve(false);
+        }, timeout);
+      }
+    });
+  }
+}
+
+module.exports = ChatQueue;
@@ -0,0 +1,126 @@
+const config = require("../config");
+const db = require("./database/settingdb");
+const { isOwner } = require("./permissions");
+
+const WARN_INTERVAL = 10000; // at most one "slow down" reply per user per 10s
+
+const commandName = (plugin) =>
+  String(Array.isArray(plugin.command) ? plugin.command[0] : plugin.command);
+
+// primary name first, then the aliases (regex triggers have no name to look up)
+const commandNames = (plugin) =>
+  [].concat(plugin.command ?? [], plugin.alias ?? [], plugin.aliases ?? []).filter((n) => typeof n === "string");
+
+// `cooldown: 5` is shorthand for a 5 second per-user cooldown
+function normalizeCooldown(value) {
+  if (!value) return {};
+  if (typeof value === "number") return { user: value };
+  return value;
+}
+
+/**
+ * In-memory command limiter: per-command cooldowns (user/chat/global scope)
+ * plus a token bucket capping the total commands a user can run per minute.
+ * Groups can override both through settingsDB:
+ *   cooldown  -> { [command]: seconds | { user, chat, global } }
+ *   ratelimit -> commands per user per minute (0 disables)
+ */
+class RateLimiter {
+  constructor() {
+    this.cooldowns = new Map(); // Map<scopeKey, expiresAt>
+    this.buckets = new Map(); // Map<user, { tokens, updatedAt }>
+    this.warned = new Map(); // Map<user, warnedUntil>
+    this._sweepTimer = setInterval(() => this.sweep(), 60000);
+    if (this._sweepTimer.unref) this._sweepTimer.unref();
+  }
+
+  _cooldownFor(plugin, message) {
+    const overrides = message.isGroup ? db.getGroup(message.from, "cooldown") : null;
+    const name = overrides && commandNames(plugin).find((n) => overrides[n] !== undefined);
+    if (name) return normalizeCooldown(overrides[name]);
+    return normalizeCooldown(plugin.cooldown);
+  }
+
+  _perMinute(message) {
+    const override = message.isGroup ? db.getGroup(message.from, "ratelimit") : undefined;
+    // the bot wide value as setvar stores it, per session
+    const global = message.session ? message.session.settings.getGlobal("ratelimit") : db.getGlobal("ratelimit");
+    const value = override ?? global ?? config.RATE_LIMIT;
+    return Number(value) || 0;
+  }
+
+  // Takes one token from the user's bucket, returns ms until the next token when empty
+  _take(user, perMinute) {
+    const now = Date.now();
+    const refill = perMinute / 60000; // tokens per ms
+    const bucket = this.buckets.get(user) || { tokens: perMinute, updatedAt: now };
+    bucket.tokens = Math.min(perMinute, bucket.tokens + (now - bucket.updatedAt) * refill);
+    bucket.updatedAt = now;
+    this.buckets.set(user, bucket);
+    if (bucket.tokens < 1) return Math.ceil((1 - bucket.tokens) / refill);
+    bucket.tokens -= 1;
+    return 0;
+  }
+
+  _shouldWarn(user, retryAfter) {
+    const now = Date.now();
+    if ((this.warned.get(user) || 0) > now) return false;
+    this.warned.set(user, now + Math.max(retryAfter, WARN_INTERVAL));
+    return true;
+  }
+
+  /**
+   * Check and record a command run.
+   * @returns {{ reason: 'cooldown'|'rate', retryAfter: number, warn: boolean } | null}
+   * null when the command may run.
+   */
+  check(plugin, message) {
+    if (isOwner(message)) return null;
+    const now = Date.now();
+    const name = commandName(plugin);
+    const cooldown = this._cooldownFor(plugin, message);
+    const scopes = {
+      user: `${name}:user:${message.sender}`,
+      chat: `${name}:chat:${message.from}`,
+      global: `${name}:global`,
+    };
+
+    let retryAfter = 0;
+    for (const scope of Object.keys(scopes)) {
+      if (!cooldown[scope]) continue;
+      const until = this.cooldowns.get(scopes[scope]) || 0;
+      if (until > now) retryAfter = Math.max(retryAfter, until - now);
+    }
+    if (retryAfter) {
+      return { reason: "cooldown", retryAfter, warn: this._shouldWarn(message.sender, retryAfter) };
+    }
+
+    const perMinute = this._perMinute(message);
+    if (perMinute > 0) {
+      const wait = this._take(message.sender, perMinute);
+      if (wait) return { reason: "rate", retryAfter: wait, warn: this._shouldWarn(message.sender, wait) };
+    }
+
+    for (const scope of Object.keys(scopes)) {
+      if (cooldown[scope]) this.cooldowns.set(scopes[scope], now + cooldown[scope] * 1000);
+    }
+    return null;
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, until] of this.cooldowns) if (until <= now) this.cooldowns.delete(key);
+    for (const [user, until] of this.warned) if (until <= now) this.warned.delete(user);
+    for (const [user, bucket] of this.buckets) {
+      // an untouched bucket for a minute is full again, no need to keep it
+      if (now - bucket.updatedAt > 60000) this.buckets.delete(user);
+    }
+  }
+}
+
+const slowDownMessage = ({ retryAfter }) =>
+  `_⏳ Slow down! Try again in ${Math.ceil(retryAfter / 1000)}s_`;
+
+const rateLimiter = new RateLimiter();
+
+module.exports = { rateLimiter, RateLimiter, slowDownMessage, commandName, commandNames };
@@ -0,0 +1,59 @@
+/**
+ * Decides when (and whether) a dropped session reconnects.
+ * - exponential backoff: baseDelay * factor^(attempt-1), capped at maxDelay, with +/- jitter
+ * - maxAttempts consecutive failures without an open connection gives up (0 = never)
+ * - circuit breaker: breakerThreshold disconnects within breakerWindow pauses
+ *   reconnecting for breakerCooldown, so a flapping network can't cause a restart storm
+ */
+class ReconnectPolicy {
+  constructor(opts = {}) {
+    this.baseDelay = opts.baseDelay ?? 2000;
+    this.maxDelay = opts.maxDelay ?? 60000;
+    this.factor = opts.factor ?? 2;
+    this.jitter = opts.jitter ?? 0.3; // fraction of the delay
+    this.maxAttempts = opts.maxAttempts ?? 10;
+    this.breakerThreshold = opts.breakerThreshold ?? 5;
+    this.breakerWindow = opts.breakerWindow ?? 60000;
+    this.breakerCooldown = opts.breakerCooldown ?? 300000;
+    this.attempts = 0;
+    this._disconnects = []; // timestamps inside the breaker window
+    this.circuitOpenUntil = 0;
+  }
+
+  /**
+   * Register a disconnect and get the delay before the next attempt.
+   * @returns {{ attempt: number, delay: number, circuitOpen: boolean } | null} null when giving up
+   */
+  next() {
+    const now = Date.now();
+    this.attempts += 1;
+    if (this.maxAttempts > 0 && this.attempts > this.maxAttempts) return null;
+
+    this._disconnects = this._disconnects.filter((t) => now - t < this.breakerWindow);
+    this._disconnects.push(now);
+    if (this.breakerThreshold > 0 && this._disconnects.length >= this.breakerThreshold) {
+      this.circuitOpenUntil = now + this.breakerCooldown;
+      this._disconnects = [];
+    }
+
+    const backoff = Math.min(this.maxDelay, this.baseDelay * this.factor ** (this.attempts - 1));
+    const spread = backoff * this.jitter;
+    let delay = Math.round(backoff - spread + Math.random() * spread * 2);
+    const circuitOpen = this.circuitOpenUntil > now;
+    if (circuitOpen) delay = Math.max(delay, this.circuitOpenUntil - now);
+    return { attempt: this.attempts, delay, circuitOpen };
+  }
+
+  // connection opened: start counting from scratch
+  success() {
+    this.attempts = 0;
+  }
+
+  reset() {
+    this.attempts = 0;
+    this._disconnects = [];
+    this.circuitOpenUntil = 0;
+  }
+}
+
+module.exports = ReconnectPolicy;
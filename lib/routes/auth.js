@@ -0,0 +1,36 @@
+const crypto = require("crypto");
+const config = require("../../config");
+
+function safeEqual(a, b) {
+  const ba = Buffer.from(String(a));
+  const bb = Buffer.from(String(b));
+  return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
+
+// key from `x-api-key` or `Authorization: Bearer <key>`, `?token=` only where a route allows it
+// (query strings end up in access logs)
+function readKey(req, { query = false } = {}) {
+  const bearer = (req.get("authorization") || "").replace(/^Bearer\s+/i, "");
+  return req.get("x-api-key") || bearer || (query && req.query.token) || "";
+}
+
+/**
+ * Express middleware checking config.API_KEY.
+ * @param {object} [opts]
+ * @param {boolean} [opts.optional] - Let requests through when no API_KEY is configured.
+ * @param {boolean} [opts.query] - Also accept the key as `?token=`, for clients that can't send headers.
+ */
+function requireApiKey({ optional = false, query = false } = {}) {
+  return (req, res, next) => {
+    if (!config.API_KEY) {
+      if (optional) return next();
+      return res.status(503).json({ error: "API_KEY is not configured" });
+    }
+    if (!safeEqual(readKey(req, { query }), config.API_KEY)) {
+      return res.status(401).json({ error: "invalid api key" });
+    }
+    next();
+  };
+}
+
+module.exports = { requireApiKey, readKey, safeEqual };
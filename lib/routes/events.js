@@ -0,0 +1,58 @@
+const express = require("express");
+const { activity, TYPES } = require("../activity");
+const { requireApiKey } = require("./auth");
+
+const router = express.Router();
+// EventSource can't send headers, so `?token=` works too
+router.use(requireApiKey({ query: true }));
+
+const HEARTBEAT = 25000;
+
+const list = (value) =>
+  String(value || "")
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+/**
+ * GET /events?types=command,connection&chat=<jid>&session=<name>
+ * Server-Sent Events, one `event: <type>` per activity event. Reconnecting
+ * clients get what they missed through the Last-Event-ID header.
+ */
+router.get("/", (req, res) => {
+  const types = list(req.query.types);
+  const unknown = types.filter((t) => !TYPES.includes(t));
+  if (unknown.length) {
+    return res.status(400).json({ error: `unknown types: ${unknown.join(", ")}`, types: TYPES });
+  }
+  const chats = list(req.query.chat);
+  const session = req.query.session || null;
+  const wanted = (e) =>
+    (!types.length || types.includes(e.type)) &&
+    (!chats.length || chats.includes(e.chat)) &&
+    (!session || !e.session || e.session === session);
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // nginx would buffer the stream otherwise
+  });
+  res.flushHeaders();
+  res.write("retry: 3000\n\n");
+
+  const send = (e) => {
+    if (wanted(e)) res.write(`id: ${e.id}\nevent: ${e.type}\ndata: ${JSON.stringify(e)}\n\n`);
+  };
+  const lastId = Number(req.get("last-event-id"));
+  if (lastId) activity.since(lastId).forEach(send);
+
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT);
+  activity.on("event", send);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    activity.off("event", send);
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,80 @@
+const express = require("express");
+const path = require("path");
+const db = require("../database/settingdb");
+const { sessions } = require("../index");
+const { pluginManager, formatError } = require("../plugins");
+const { isShuttingDown } = require("../shutdown");
+const config = require("../../config");
+const { readKey, safeEqual } = require("./auth");
+
+// Left open on purpose: container orchestrators probe these without credentials.
+// Only the status and check booleans are public, the details need the API key.
+const router = express.Router();
+
+const withDetails = (req) => Boolean(config.API_KEY) && safeEqual(readKey(req), config.API_KEY);
+
+// states a session can leave on its own; failed/stopped need a restart or an operator
+const ALIVE = ["idle", "connecting", "open", "reconnecting"];
+
+// "closed" only counts while a reconnect is on its way: not after a logout or
+// a replaced session, and not while the reconnect breaker is open
+function isAlive(session) {
+  if (ALIVE.includes(session.state)) return true;
+  const { state, circuitOpenUntil } = session.status || {};
+  const breakerOpen = Boolean(circuitOpenUntil) && Date.parse(circuitOpenUntil) > Date.now();
+  return session.state === "closed" && state === "reconnecting" && !breakerOpen;
+}
+
+function sessionReport(session) {
+  return {
+    name: session.name,
+    state: session.state,
+    registered: session.registered,
+    lastMessageAt: session.lastMessageAt,
+    lastDisconnect: session.status?.lastDisconnect ?? null,
+  };
+}
+
+function pluginReport() {
+  return {
+    loaded: pluginManager.loaded,
+    count: pluginManager.list().length,
+    errors: Array.from(pluginManager.errors, ([file, err]) => ({
+      plugin: path.basename(file),
+      error: formatError(err),
+    })),
+  };
+}
+
+// liveness: 503 once the main socket is gone for good, so a restart can bring it back.
+// A main session that is not created yet is still booting, /readyz covers that case.
+router.get("/healthz", (req, res) => {
+  const main = sessions.get("main");
+  const healthy = !main || isAlive(main);
+  res.status(healthy ? 200 : 503).json({
+    status: healthy ? "ok" : "unhealthy",
+    uptime: Math.round(process.uptime()),
+    ...(withDetails(req) && { sessions: Array.from(sessions.sessions.values(), sessionReport) }),
+  });
+});
+
+// readiness: connected and logged in, settings backend answering, plugins loaded
+router.get("/readyz", async (req, res) => {
+  const main = sessions.get("main");
+  const database = { ...db.getDatabaseInfo(), ...(await db.ping()) };
+  const plugins = pluginReport();
+  const checks = {
+    accepting: !isShuttingDown(),
+    socket: Boolean(main) && main.state === "open" && main.registered,
+    database: database.ok,
+    plugins: plugins.loaded && plugins.count > 0,
+  };
+  const ready = Object.values(checks).every(Boolean);
+  res.status(ready ? 200 : 503).json({
+    status: ready ? "ready" : "not ready",
+    checks,
+    ...(withDetails(req) && { session: main ? sessionReport(main) : null, database, plugins }),
+  });
+});
+
+module.exports = router;
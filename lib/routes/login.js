@@ -0,0 +1,78 @@
+const express = require("express");
+const QRCode = require("qrcode");
+const { getSession } = require("../index");
+const { requireApiKey } = require("./auth");
+
+const router = express.Router();
+// a QR or pairing code links a device to the bot's number, so these routes are off until API_KEY is set
+router.use(requireApiKey());
+
+// ?session=<name> picks another bot number, "main" by default
+const pick = (req) => getSession(req.query.session || "main");
+
+function loginSession(req, res) {
+  const session = pick(req);
+  if (!session) {
+    res.status(404).json({ error: "session is not started" });
+    return null;
+  }
+  if (session.registered) {
+    res.status(409).json({ error: "already logged in", state: session.state });
+    return null;
+  }
+  return session;
+}
+
+router.get("/status", (req, res) => {
+  const session = pick(req);
+  res.json({
+    state: session?.state ?? "idle",
+    registered: Boolean(session?.registered),
+    qrAvailable: Boolean(session?.qr),
+  });
+});
+
+// PNG by default, `?format=json` returns { qr, dataUrl } for custom pages
+router.get("/qr", async (req, res) => {
+  const session = loginSession(req, res);
+  if (!session) return;
+  try {
+    const qr = await session.waitForQr();
+    if (req.query.format === "json") {
+      return res.json({ qr, dataUrl: await QRCode.toDataURL(qr) });
+    }
+    res.set("Cache-Control", "no-store");
+    res.type("png").send(await QRCode.toBuffer(qr, { width: 320 }));
+  } catch (err) {
+    res.status(504).json({ error: err.message });
+  }
+});
+
+router.get("/pair", async (req, res) => {
+  const number = String(req.query.number || "").replace(/[^0-9]/g, "");
+  if (number.length < 8) {
+    return res.status(400).json({ error: "number must be digits with country code, e.g. 919876543210" });
+  }
+  const session = loginSession(req, res);
+  if (!session) return;
+  try {
+    const code = await session.requestPairingCode(number);
+    res.json({ number, code });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Drop the stored session (e.g. after a logout) and start a new login
+router.post("/reset", async (req, res) => {
+  const session = pick(req);
+  if (!session) return res.status(404).json({ error: "session is not started" });
+  try {
+    await session.resetLogin();
+    res.json({ state: session.state });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,156 @@
+const express = require("express");
+const { getSession } = require("../index");
+const { buildContent } = require("../serialize");
+const { requireApiKey } = require("./auth");
+
+const router = express.Router();
+router.use(requireApiKey());
+
+const MEDIA_TYPES = ["image", "video", "audio", "sticker", "document"];
+
+// "919876543210" or a full jid
+function toJid(to) {
+  const value = String(to || "").trim();
+  if (value.includes("@")) return value;
+  const number = value.replace(/[^0-9]/g, "");
+  return number.length >= 8 ? `${number}@s.whatsapp.net` : null;
+}
+
+// media as { url } or base64 (optionally a data: URL). Baileys reads any other
+// url as a local path, so only http(s) links are passed on
+function mediaSource(body) {
+  if (body.url) {
+    let url;
+    try {
+      url = new URL(String(body.url));
+    } catch (_) {
+      throw new Error("`url` is not a valid URL");
+    }
+    if (!["http:", "https:"].includes(url.protocol)) throw new Error("`url` must be an http or https link");
+    return { url: url.href };
+  }
+  if (body.base64) {
+    return Buffer.from(String(body.base64).replace(/^data:[^,]*,/, ""), "base64");
+  }
+  return null;
+}
+
+function messageKey(jid, id, { fromMe = true, participant } = {}) {
+  return {
+    remoteJid: jid,
+    id: String(id),
+    fromMe: fromMe === true || fromMe === "true",
+    ...(participant ? { participant } : {}),
+  };
+}
+
+// Baileys only needs the key (and some content) of the message being replied to
+function quotedStub(jid, replyTo) {
+  const ref = typeof replyTo === "object" ? replyTo : { id: replyTo, fromMe: false };
+  return {
+    key: messageKey(jid, ref.id, ref),
+    message: { conversation: ref.text || "" },
+  };
+}
+
+// resolve the target session and chat, answering the request itself on failure
+function target(req, res) {
+  const session = getSession(req.body?.session || req.query.session || "main");
+  if (!session) {
+    res.status(404).json({ error: "session is not started" });
+    return null;
+  }
+  if (session.state !== "open" || !session.conn) {
+    res.status(503).json({ error: "session is not connected", state: session.state });
+    return null;
+  }
+  const jid = toJid(req.body?.to ?? req.query.to);
+  if (!jid) {
+    res.status(400).json({ error: "`to` must be a jid or a phone number with country code" });
+    return null;
+  }
+  return { session, conn: session.conn, jid };
+}
+
+// Baileys message content for a POST /messages body, normalized like message.send()
+function contentFor(body) {
+  const type = body.type || (body.text !== undefined ? "text" : null);
+  const options = {
+    mentions: Array.isArray(body.mentions) ? body.mentions.map(toJid).filter(Boolean) : undefined,
+  };
+  if (type === "text") {
+    if (!body.text) throw new Error("`text` is required");
+    return buildContent(String(body.text), options);
+  }
+  if (!MEDIA_TYPES.includes(type)) {
+    throw new Error(`\`type\` must be one of text, ${MEDIA_TYPES.join(", ")}`);
+  }
+  const media = mediaSource(body);
+  if (!media) throw new Error("media needs `url` or `base64`");
+  const payload = { [type]: media };
+  for (const key of ["caption", "mimetype", "fileName", "ptt"]) {
+    if (body[key] !== undefined) payload[key] = body[key];
+  }
+  // send() passes documents through as they are, Baileys needs a name and type for them
+  if (type === "document") {
+    payload.mimetype = payload.mimetype || "application/octet-stream";
+    payload.fileName = payload.fileName || "file";
+  }
+  return buildContent(payload, options);
+}
+
+/**
+ * POST /messages
+ * { to, type: text|image|video|audio|sticker|document, text | url | base64,
+ *   caption, mimetype, fileName, ptt, mentions, replyTo: id | { id, fromMe, participant, text }, session }
+ */
+router.post("/", async (req, res) => {
+  const t = target(req, res);
+  if (!t) return;
+  let content;
+  try {
+    content = contentFor(req.body || {});
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    const sent = await t.conn.sendMessage(t.jid, content, {
+      quoted: req.body.replyTo ? quotedStub(t.jid, req.body.replyTo) : undefined,
+    });
+    res.status(201).json({ key: sent?.key ?? null });
+  } catch (err) {
+    res.status(502).json({ error: err.message });
+  }
+});
+
+// POST /messages/:id/react { to, emoji, fromMe, participant }, an empty emoji removes the reaction
+router.post("/:id/react", async (req, res) => {
+  const t = target(req, res);
+  if (!t) return;
+  const body = req.body || {};
+  const key = messageKey(t.jid, req.params.id, { fromMe: body.fromMe ?? false, participant: body.participant });
+  try {
+    const sent = await t.conn.sendMessage(t.jid, { react: { text: body.emoji || "", key } });
+    res.json({ key: sent?.key ?? null });
+  } catch (err) {
+    res.status(502).json({ error: err.message });
+  }
+});
+
+// DELETE /messages/:id?to=&fromMe=&participant=  deletes for everyone
+router.delete("/:id", async (req, res) => {
+  const t = target(req, res);
+  if (!t) return;
+  const key = messageKey(t.jid, req.params.id, {
+    fromMe: req.query.fromMe ?? true,
+    participant: req.query.participant,
+  });
+  try {
+    const sent = await t.conn.sendMessage(t.jid, { delete: key });
+    res.json({ key: sent?.key ?? null });
+  } catch (err) {
+    res.status(502).json({ error: err.message });
+  }
+});
+
+module.exports = router;
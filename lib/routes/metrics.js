@@ -0,0 +1,18 @@
+const express = require("express");
+const { register } = require("../metrics");
+const { requireApiKey } = require("./auth");
+
+const router = express.Router();
+// scrape with `authorization: Bearer <API_KEY>` once a key is set
+router.use(requireApiKey({ optional: true }));
+
+router.get("/", async (req, res) => {
+  try {
+    res.set("Content-Type", register.contentType);
+    res.send(await register.metrics());
+  } catch (err) {
+    res.status(500).send(err.message);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,58 @@
+const express = require("express");
+const { sessions } = require("../index");
+const { requireApiKey } = require("./auth");
+
+const router = express.Router();
+router.use(requireApiKey());
+
+const fail = (res, err) =>
+  res.status(/unknown session/i.test(err.message) ? 404 : 400).json({ error: err.message });
+
+router.get("/", (req, res) => {
+  res.json(sessions.list());
+});
+
+router.get("/:name", (req, res) => {
+  const session = sessions.get(req.params.name);
+  if (!session) return res.status(404).json({ error: `Unknown session: ${req.params.name}` });
+  res.json(session.info());
+});
+
+// body: { name, sessionId?, workType?, prefix? } - without sessionId link it via /login?session=<name>
+router.post("/", async (req, res) => {
+  try {
+    const { name, sessionId, workType, prefix } = req.body || {};
+    const session = await sessions.add({ name, sessionId, workType, prefix });
+    res.status(201).json(session.info());
+  } catch (err) {
+    fail(res, err);
+  }
+});
+
+router.post("/:name/stop", async (req, res) => {
+  try {
+    res.json((await sessions.stop(req.params.name)).info());
+  } catch (err) {
+    fail(res, err);
+  }
+});
+
+router.post("/:name/restart", async (req, res) => {
+  try {
+    res.json((await sessions.restart(req.params.name)).info());
+  } catch (err) {
+    fail(res, err);
+  }
+});
+
+// ?logout=true also unlinks the device from the phone
+router.delete("/:name", async (req, res) => {
+  try {
+    await sessions.remove(req.params.name, { logout: req.query.logout === "true" });
+    res.json({ removed: req.params.name });
+  } catch (err) {
+    fail(res, err);
+  }
+});
+
+module.exports = router;
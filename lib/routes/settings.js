@@ -0,0 +1,193 @@
+const express = require("express");
+const db = require("../database/settingdb");
+const { requireApiKey } = require("./auth");
+
+// Same setters the WhatsApp commands use, so 'update' events reach running plugins
+const router = express.Router();
+router.use(requireApiKey());
+
+const isGroupJid = (jid) => typeof jid === "string" && jid.includes("@");
+
+function requireValue(req, res) {
+  if (!req.body || req.body.value === undefined) {
+    res.status(400).json({ error: "body must be { value }" });
+    return false;
+  }
+  return true;
+}
+
+function checkJid(req, res) {
+  if (isGroupJid(req.params.jid)) return true;
+  res.status(400).json({ error: "jid must look like 1203630xxxxx@g.us" });
+  return false;
+}
+
+// settingsDB rejects values that don't fit a key's schema, that's a bad request
+function invalid(res, err) {
+  res.status(400).json({ error: err.message });
+}
+
+// change log attribution, callers may name the person behind the request with X-Actor: <jid>
+const log = (req) => ({ source: "api", actor: req.get("x-actor") || null });
+
+router.get("/", (req, res) => {
+  res.json({
+    startup: db.getStartupTime(),
+    global: db.getData(),
+    groups: db.listGroups(),
+  });
+});
+
+// keys declared by plugins through Module({ settings })
+router.get("/schema", (req, res) => {
+  res.json(db.getSchema());
+});
+
+// ---------- change log ----------
+// GET /settings/history?scope=global|<jid>&key=&limit=  newest first
+router.get("/history", (req, res) => {
+  const scope = req.query.scope || "global";
+  const limit = Math.min(Number(req.query.limit) || 20, 500);
+  res.json(db.getHistory(scope, { limit, key: req.query.key || null }));
+});
+
+// POST /settings/undo { scope, id? }  reverts one change, the latest when id is missing
+router.post("/undo", async (req, res) => {
+  const { scope = "global", id = null } = req.body || {};
+  try {
+    const entry = await db.undo(scope, id, log(req));
+    res.json({ undone: entry });
+  } catch (err) {
+    res.status(409).json({ error: err.message });
+  }
+});
+
+// ---------- export / import ----------
+// GET /settings/export?jid=  everything, or one group
+router.get("/export", (req, res) => {
+  const jid = req.query.jid || null;
+  if (jid && !isGroupJid(jid)) return res.status(400).json({ error: "jid must look like 1203630xxxxx@g.us" });
+  const name = jid ? `settings-${jid.split("@")[0]}.json` : "settings.json";
+  res.set("Content-Disposition", `attachment; filename="${name}"`);
+  res.json(db.exportState({ jid }));
+});
+
+// POST /settings/import?mode=merge|replace&dryRun=true&jid=  body: an export
+// responds with the changes, which are only applied when dryRun isn't set
+router.post("/import", async (req, res) => {
+  const jid = req.query.jid || null;
+  if (jid && !isGroupJid(jid)) return res.status(400).json({ error: "jid must look like 1203630xxxxx@g.us" });
+  try {
+    const result = await db.importState(req.body, {
+      mode: req.query.mode || "merge",
+      dryRun: req.query.dryRun === "true",
+      jid,
+      ...log(req),
+    });
+    res.json(result);
+  } catch (err) {
+    invalid(res, err);
+  }
+});
+
+// ---------- global ----------
+router.get("/global", (req, res) => {
+  res.json(db.getData());
+});
+
+router.get("/global/:key", (req, res) => {
+  const { key } = req.params;
+  res.json({ key, value: db.getGlobal(key) ?? null, updatedAt: db.getUpdateTime("global", key) });
+});
+
+router.put("/global/:key", async (req, res) => {
+  if (!requireValue(req, res)) return;
+  const { key } = req.params;
+  try {
+    await db.setGlobal(key, req.body.value, log(req));
+  } catch (err) {
+    return invalid(res, err);
+  }
+  res.json({ key, value: db.getGlobal(key), updatedAt: db.getUpdateTime("global", key) });
+});
+
+router.post("/global/:key/toggle", async (req, res) => {
+  const { key } = req.params;
+  let value;
+  try {
+    value = await db.toggleGlobal(key, log(req));
+  } catch (err) {
+    return invalid(res, err);
+  }
+  res.json({ key, value, updatedAt: db.getUpdateTime("global", key) });
+});
+
+// ---------- groups ----------
+router.get("/groups", (req, res) => {
+  res.json(db.listGroups());
+});
+
+// ?merge=true fills keys the group doesn't override with the global value
+router.get("/groups/:jid", (req, res) => {
+  if (!checkJid(req, res)) return;
+  res.json(db.getData(req.params.jid, { mergeGlobalDefaults: req.query.merge === "true" }));
+});
+
+router.delete("/groups/:jid", (req, res) => {
+  if (!checkJid(req, res)) return;
+  const existed = db.deleteGroup(req.params.jid, log(req));
+  if (!existed) return res.status(404).json({ error: "no settings for this group" });
+  res.json({ deleted: req.params.jid });
+});
+
+router.get("/groups/:jid/:plugin", (req, res) => {
+  if (!checkJid(req, res)) return;
+  const { jid, plugin } = req.params;
+  res.json({
+    jid,
+    plugin,
+    value: db.getGroup(jid, plugin) ?? null,
+    updatedAt: db.getUpdateTime(jid, plugin),
+  });
+});
+
+router.put("/groups/:jid/:plugin", async (req, res) => {
+  if (!checkJid(req, res) || !requireValue(req, res)) return;
+  const { jid, plugin } = req.params;
+  try {
+    await db.setGroupPlugin(jid, plugin, req.body.value, log(req));
+  } catch (err) {
+    return invalid(res, err);
+  }
+  res.json({ jid, plugin, value: db.getGroup(jid, plugin), updatedAt: db.getUpdateTime(jid, plugin) });
+});
+
+// merges the body into the plugin's config object (setGroupPluginConfig)
+router.patch("/groups/:jid/:plugin", async (req, res) => {
+  if (!checkJid(req, res)) return;
+  const { jid, plugin } = req.params;
+  if (!req.body || typeof req.body !== "object" || Array.isArray(req.body)) {
+    return res.status(400).json({ error: "body must be a JSON object" });
+  }
+  let value;
+  try {
+    value = await db.setGroupPluginConfig(jid, plugin, req.body, log(req));
+  } catch (err) {
+    return invalid(res, err);
+  }
+  res.json({ jid, plugin, value, updatedAt: db.getUpdateTime(jid, plugin) });
+});
+
+router.post("/groups/:jid/:plugin/toggle", async (req, res) => {
+  if (!checkJid(req, res)) return;
+  const { jid, plugin } = req.params;
+  let value;
+  try {
+    value = await db.toggleGroupPlugin(jid, plugin, log(req));
+  } catch (err) {
+    return invalid(res, err);
+  }
+  res.json({ jid, plugin, value, updatedAt: db.getUpdateTime(jid, plugin) });
+});
+
+module.exports = router;
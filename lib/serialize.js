@@ -1,5 +1,6 @@
 const axios = require("axios");
 const cache = require("./group-cache");
+const { isSudoUser } = require("./sudo");
 const { Jimp } = require("jimp");
 
 async function makePp(buf) {
@@ -23,6 +24,44 @@ async function makePp(buf) {
 
   return await img.getBufferAsync("image/jpeg");
 }
+// Turn the short payload forms of send()/reply() into Baileys message content
+function buildContent(payload, options = {}) {
+  let cend;
+
+  if (typeof payload === "string") {
+    cend = { text: payload };
+  } else if (payload.video) {
+    cend = {
+      video: payload.video,
+      caption: payload.caption || "",
+      mimetype: payload.mimetype || "video/mp4",
+    };
+  } else if (payload.image) {
+    cend = {
+      image: payload.image,
+      caption: payload.caption || "",
+    };
+  } else if (payload.audio) {
+    cend = {
+      audio: payload.audio,
+      mimetype: payload.mimetype || "audio/mp4",
+      ptt: payload.ptt || false,
+    };
+  } else {
+    cend = payload;
+  }
+
+  if (options.mentions) {
+    cend.mentions = options.mentions;
+  }
+
+  if (options.edit) {
+    cend.edit = options.edit;
+  }
+
+  return cend;
+}
+
 const serialize = async (msg, conn) => {
   //const baileys = await import("baileys");
   const {
@@ -74,8 +113,13 @@ const serialize = async (msg, conn) => {
     const context = msg.message?.extendedTextMessage?.contextInfo;
     const quotedMsg = context?.quotedMessage;
     if (!quotedMsg) return null;
-    const qt = getContentType(quotedMsg);
-    const qContent = quotedMsg[qt];
+    let qt = getContentType(quotedMsg);
+    let qContent = quotedMsg[qt];
+    // documents sent with a caption come wrapped
+    if (qt === "documentWithCaptionMessage" && qContent?.message?.documentMessage) {
+      qt = "documentMessage";
+      qContent = qContent.message.documentMessage;
+    }
     const b =
       qt === "conversation"
         ? qContent
@@ -511,38 +555,7 @@ const serialize = async (msg, conn) => {
         return await conn.sendMessage(msgObj.from, { delete: payload.delete });
       }
 
-      let cend;
-
-      if (typeof payload === "string") {
-        cend = { text: payload };
-      } else if (payload.video) {
-        cend = {
-          video: payload.video,
-          caption: payload.caption || "",
-          mimetype: payload.mimetype || "video/mp4",
-        };
-      } else if (payload.image) {
-        cend = {
-          image: payload.image,
-          caption: payload.caption || "",
-        };
-      } else if (payload.audio) {
-        cend = {
-          audio: payload.audio,
-          mimetype: payload.mimetype || "audio/mp4",
-          ptt: payload.ptt || false,
-        };
-      } else {
-        cend = payload;
-      }
-
-      if (options.mentions) {
-        cend.mentions = options.mentions;
-      }
-
-      if (options.edit) {
-        cend.edit = options.edit;
-      }
+      const cend = buildContent(payload, options);
 
       return await conn.sendMessage(msgObj.from, cend, {
         quoted: options.quoted,
@@ -573,38 +586,7 @@ const serialize = async (msg, conn) => {
         return await conn.sendMessage(msgObj.from, { delete: payload.delete });
       }
 
-      let cend;
-
-      if (typeof payload === "string") {
-        cend = { text: payload };
-      } else if (payload.video) {
-        cend = {
-          video: payload.video,
-          caption: payload.caption || "",
-          mimetype: payload.mimetype || "video/mp4",
-        };
-      } else if (payload.image) {
-        cend = {
-          image: payload.image,
-          caption: payload.caption || "",
-        };
-      } else if (payload.audio) {
-        cend = {
-          audio: payload.audio,
-          mimetype: payload.mimetype || "audio/mp4",
-          ptt: payload.ptt || false,
-        };
-      } else {
-        cend = payload;
-      }
-
-      if (options.mentions) {
-        cend.mentions = options.mentions;
-      }
-
-      if (options.edit) {
-        cend.edit = options.edit;
-      }
+      const cend = buildContent(payload, options);
 
       return await conn.sendMessage(msgObj.from, cend, { quoted: msgObj.raw });
     } catch (err) {
@@ -677,7 +659,18 @@ const serialize = async (msg, conn) => {
     return areJidsSameUser(jidNormalizedUser(jid1), jidNormalizedUser(jid2));
   };
 
+  // trusted co-maintainers, matched on both the PN and the LID of the sender
+  try {
+    msgObj.isSudo =
+      isfromMe ||
+      (await isSudoUser(msgObj, isGroup ? key.participantAlt : key.remoteJidAlt));
+  } catch (err) {
+    console.error("Error checking sudo:", err);
+    msgObj.isSudo = isfromMe;
+  }
+
   return msgObj;
 };
 
 module.exports = serialize;
+module.exports.buildContent = buildContent;
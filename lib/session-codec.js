@@ -0,0 +1,184 @@
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const zlib = require("zlib");
+const crypto = require("crypto");
+const config = require("../config");
+
+/**
+ * Self-contained SESSION_ID formats, no hosting service needed:
+ *   KIRA-B64~<base64>   creds.json or a whole sessions/ folder, gzip optional
+ *   KIRA-ENC~<base64>   the same, encrypted with AES-256-GCM (SESSION_PASSPHRASE)
+ *   file:<path> | /abs/path | ./rel/path | ~/path
+ *                       a creds.json, or a file holding one of the strings above
+ *   { ...creds }        creds.json pasted as is
+ */
+const B64_PREFIX = "KIRA-B64~";
+const ENC_PREFIX = "KIRA-ENC~";
+const SALT_LEN = 16;
+const IV_LEN = 12;
+const TAG_LEN = 16;
+
+const isGzip = (buf) => buf.length > 2 && buf[0] === 0x1f && buf[1] === 0x8b;
+
+function isLocalPath(id) {
+  return /^file:/i.test(id) || /^(\/|\.{1,2}\/|~\/)/.test(id);
+}
+
+function resolveLocalPath(id) {
+  let p = id.replace(/^file:(\/\/)?/i, "");
+  if (p.startsWith("~/")) p = path.join(os.homedir(), p.slice(2));
+  return path.resolve(p);
+}
+
+// Whether decodeSession() understands this SESSION_ID on its own
+function isLocalFormat(id) {
+  const value = String(id || "").trim();
+  return (
+    value.startsWith(B64_PREFIX) ||
+    value.startsWith(ENC_PREFIX) ||
+    value.startsWith("{") ||
+    isLocalPath(value)
+  );
+}
+
+const deriveKey = (passphrase, salt) => crypto.scryptSync(passphrase, salt, 32);
+
+function encrypt(buf, passphrase) {
+  const salt = crypto.randomBytes(SALT_LEN);
+  const iv = crypto.randomBytes(IV_LEN);
+  const cipher = crypto.createCipheriv("aes-256-gcm", deriveKey(passphrase, salt), iv);
+  const data = Buffer.concat([cipher.update(buf), cipher.final()]);
+  return Buffer.concat([salt, iv, cipher.getAuthTag(), data]);
+}
+
+function decrypt(buf, passphrase) {
+  if (buf.length <= SALT_LEN + IV_LEN + TAG_LEN) throw new Error("❌ Encrypted session is truncated");
+  const salt = buf.subarray(0, SALT_LEN);
+  const iv = buf.subarray(SALT_LEN, SALT_LEN + IV_LEN);
+  const tag = buf.subarray(SALT_LEN + IV_LEN, SALT_LEN + IV_LEN + TAG_LEN);
+  const decipher = crypto.createDecipheriv("aes-256-gcm", deriveKey(passphrase, salt), iv);
+  decipher.setAuthTag(tag);
+  try {
+    return Buffer.concat([decipher.update(buf.subarray(SALT_LEN + IV_LEN + TAG_LEN)), decipher.final()]);
+  } catch {
+    throw new Error("❌ Wrong SESSION_PASSPHRASE or corrupted session");
+  }
+}
+
+/**
+ * Turn decoded bytes into the files to write: { "creds.json": "...", ... }
+ * A bundle is a JSON object of file name -> file content, anything else is creds.json.
+ */
+function toFiles(buf) {
+  const text = (isGzip(buf) ? zlib.gunzipSync(buf) : buf).toString("utf8");
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error("❌ Session data is not valid JSON");
+  }
+  if (parsed && typeof parsed["creds.json"] === "string") return parsed;
+  if (!parsed || typeof parsed !== "object" || !parsed.noiseKey) {
+    throw new Error("❌ Session data does not contain WhatsApp creds");
+  }
+  return { "creds.json": text };
+}
+
+/**
+ * Decode a local SESSION_ID format into session files.
+ * @param {string} id
+ * @param {object} [opts]
+ * @param {string} [opts.passphrase] - Defaults to config.SESSION_PASSPHRASE.
+ * @returns {Record<string, string>} file name -> content
+ */
+function decodeSession(id, { passphrase = config.SESSION_PASSPHRASE, depth = 0 } = {}) {
+  const value = String(id || "").trim();
+  if (value.startsWith(B64_PREFIX)) {
+    return toFiles(Buffer.from(value.slice(B64_PREFIX.length), "base64"));
+  }
+  if (value.startsWith(ENC_PREFIX)) {
+    if (!passphrase) throw new Error("❌ SESSION_PASSPHRASE is required for encrypted sessions");
+    return toFiles(decrypt(Buffer.from(value.slice(ENC_PREFIX.length), "base64"), passphrase));
+  }
+  if (value.startsWith("{")) return toFiles(Buffer.from(value));
+  if (isLocalPath(value)) {
+    const file = resolveLocalPath(value);
+    if (!fs.existsSync(file)) throw new Error(`❌ Session file not found: ${file}`);
+    const content = fs.readFileSync(file);
+    const text = content.toString("utf8").trim();
+    // a file may hold one of the string formats (e.g. an encrypted backup)
+    if (depth === 0 && (text.startsWith(B64_PREFIX) || text.startsWith(ENC_PREFIX))) {
+      return decodeSession(text, { passphrase, depth: 1 });
+    }
+    return toFiles(content);
+  }
+  throw new Error("❌ Unknown session format");
+}
+
+// Write decoded files into the session folder, returns the creds.json path
+function writeSessionFiles(sessionDir, files) {
+  fs.mkdirSync(sessionDir, { recursive: true });
+  for (const [name, content] of Object.entries(files)) {
+    const safe = path.basename(name);
+    if (!safe.endsWith(".json")) continue;
+    fs.writeFileSync(path.join(sessionDir, safe), content);
+  }
+  return path.join(sessionDir, "creds.json");
+}
+
+// Read creds.json (and with `full`, every key file) from a sessions/ folder
+function readSessionDir(sessionDir, { full = true } = {}) {
+  const credsPath = path.join(sessionDir, "creds.json");
+  if (!fs.existsSync(credsPath)) throw new Error(`❌ No creds.json in ${sessionDir}`);
+  if (!full) return { "creds.json": fs.readFileSync(credsPath, "utf8") };
+  const files = {};
+  for (const name of fs.readdirSync(sessionDir)) {
+    const file = path.join(sessionDir, name);
+    if (name.endsWith(".json") && fs.statSync(file).isFile()) {
+      files[name] = fs.readFileSync(file, "utf8");
+    }
+  }
+  return files;
+}
+
+/**
+ * Encode session files into a SESSION_ID string.
+ * @param {Record<string, string>} files - file name -> content, must include creds.json
+ * @param {object} [opts]
+ * @param {string} [opts.passphrase] - Encrypts the result (KIRA-ENC~) when set.
+ * @returns {string}
+ */
+function encodeSession(files, { passphrase } = {}) {
+  if (!files["creds.json"]) throw new Error("❌ creds.json is missing");
+  const names = Object.keys(files);
+  const plain = names.length === 1 ? files["creds.json"] : JSON.stringify(files);
+  const packed = zlib.gzipSync(Buffer.from(plain), { level: 9 });
+  if (passphrase) return ENC_PREFIX + encrypt(packed, passphrase).toString("base64");
+  return B64_PREFIX + packed.toString("base64");
+}
+
+module.exports = {
+  B64_PREFIX,
+  ENC_PREFIX,
+  isLocalFormat,
+  decodeSession,
+  encodeSession,
+  readSessionDir,
+  writeSessionFiles,
+};
+
+// node lib/session-codec.js [sessionDir] [--creds] [--encrypt]
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const dir = args.find((a) => !a.startsWith("--")) || path.join(process.cwd(), "sessions");
+  const passphrase = args.includes("--encrypt") ? config.SESSION_PASSPHRASE : null;
+  try {
+    if (args.includes("--encrypt") && !passphrase) throw new Error("❌ Set SESSION_PASSPHRASE to encrypt the export");
+    const files = readSessionDir(dir, { full: !args.includes("--creds") });
+    process.stdout.write(encodeSession(files, { passphrase }) + "\n");
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,143 @@
+const fs = require("fs");
+const path = require("path");
+const { EventEmitter } = require("events");
+const config = require("../config.js");
+const db = require('./database/settingdb');
+const Session = require("./session");
+
+const NAME_RE = /^[a-z0-9_-]{1,32}$/i;
+// sessions added at runtime (through the API), restarted on boot
+const SESSIONS_KEY = "sessions";
+// the list holds session ids (credentials), keep it out of the change log
+const NO_AUDIT = { audit: false };
+
+// "sales=X-KIRA~abc,STARK-MD~def" -> [{ name: "sales", sessionId: "X-KIRA~abc" }, { name: "session2", sessionId: "STARK-MD~def" }]
+function parseSessionList(value = "") {
+  return String(value)
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry, i) => {
+      const eq = entry.indexOf("=");
+      const name = eq > 0 ? entry.slice(0, eq).trim() : "";
+      if (NAME_RE.test(name)) return { name, sessionId: entry.slice(eq + 1).trim() };
+      return { name: `session${i + 2}`, sessionId: entry };
+    });
+}
+
+/**
+ * Runs one Session per WhatsApp number. "main" always exists and keeps the
+ * original layout (sessions/ + shared settings), every other session gets
+ * sessions/<name> and its own settings namespace.
+ * Re-emits session events as (session, payload): 'open', 'close', 'qr', 'stopped'.
+ */
+class SessionManager extends EventEmitter {
+  constructor() {
+    super();
+    this.sessions = new Map(); // Map<name, Session>
+  }
+
+  _stored() {
+    const list = db.getGlobal(SESSIONS_KEY);
+    return Array.isArray(list) ? list : [];
+  }
+
+  _create({ name, sessionId, workType, prefix }) {
+    const authDir = name === "main"
+      ? path.join(process.cwd(), "sessions")
+      : path.join(process.cwd(), "sessions", name);
+    const session = new Session({
+      name,
+      authDir,
+      sessionId,
+      workType: workType || config.WORK_TYPE,
+      prefix: prefix ?? config.prefix,
+    });
+    for (const event of ["open", "close", "qr", "status", "stopped"]) {
+      session.on(event, (payload) => this.emit(event, session, payload));
+    }
+    this.sessions.set(name, session);
+    return session;
+  }
+
+  async startAll() {
+    const defs = [
+      { name: "main", sessionId: config.SESSION_ID },
+      ...parseSessionList(config.SESSIONS),
+      ...this._stored(),
+    ];
+    for (const def of defs) {
+      if (this.sessions.has(def.name)) continue;
+      await this._create(def).launch();
+    }
+    return this.get("main");
+  }
+
+  get(name = "main") {
+    return this.sessions.get(name) || null;
+  }
+
+  list() {
+    return Array.from(this.sessions.values()).map((session) => session.info());
+  }
+
+  _require(name) {
+    const session = this.get(name);
+    if (!session) throw new Error(`Unknown session: ${name}`);
+    return session;
+  }
+
+  /**
+   * Add and start a session, it is remembered in settingsDB across restarts.
+   * @param {{ name: string, sessionId?: string, workType?: string, prefix?: string }} def
+   */
+  async add(def) {
+    if (!NAME_RE.test(def.name || "")) throw new Error("name must be 1-32 letters, digits, _ or -");
+    if (this.sessions.has(def.name)) throw new Error(`Session ${def.name} already exists`);
+    const entry = {
+      name: def.name,
+      sessionId: def.sessionId || "",
+      workType: def.workType,
+      prefix: def.prefix,
+    };
+    await db.setGlobal(SESSIONS_KEY, [...this._stored().filter((d) => d.name !== def.name), entry], NO_AUDIT);
+    const session = this._create(entry);
+    session.launch();
+    return session;
+  }
+
+  async stop(name) {
+    const session = this._require(name);
+    await session.stop();
+    return session;
+  }
+
+  // Used on shutdown: ends every socket, the stored session list is left alone
+  async stopAll() {
+    await Promise.all(Array.from(this.sessions.values(), (session) => session.stop()));
+  }
+
+  async restart(name) {
+    const session = this._require(name);
+    session.policy.reset();
+    await session.stop();
+    session.launch();
+    return session;
+  }
+
+  // Stop and forget a session with its login and settings; `logout` also unlinks the device from WhatsApp
+  async remove(name, { logout = false } = {}) {
+    if (name === "main") throw new Error("The main session cannot be removed");
+    const session = this._require(name);
+    if (logout && session.conn) await session.conn.logout().catch(() => {});
+    await session.stop();
+    this.sessions.delete(name);
+    await db.setGlobal(SESSIONS_KEY, this._stored().filter((d) => d.name !== name), NO_AUDIT);
+    await session.clearAuth();
+    await fs.promises.rmdir(session.authDir).catch(() => {});
+    await session.settings.clear();
+    return true;
+  }
+}
+
+module.exports = { SessionManager, parseSessionList };
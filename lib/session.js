@@ -0,0 +1,381 @@
+const pino = require("pino");
+const path = require("path");
+const fs = require("fs");
+const { EventEmitter } = require("events");
+const config = require("../config.js");
+const { loadPlugins } = require("./plugins");
+const { downloadCreds } = require("./handier");
+const { useDatabaseAuthState, hasDatabaseCreds } = require("./database/authstate");
+const db = require('./database/settingdb');
+const groupCache = require('./group-cache');
+const handlers = require("./handlers");
+const ReconnectPolicy = require("./reconnect");
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Owns the lifecycle of one WhatsApp socket at a time.
+ * Every reconnect tears the previous socket and all of its listeners down
+ * before a new one is created, so handlers are never bound twice.
+ *
+ * Plugins can hook into the lifecycle with
+ *   Module({ on: "open" })(async (conn, update, session) => {})
+ *   Module({ on: "close" })(async (conn, update, session) => {})
+ * The session itself emits 'open', 'close', 'qr', 'status' and 'stopped'.
+ *
+ * Reconnects follow a ReconnectPolicy; the current status is kept in
+ * `session.status` and persisted to settingsDB as `connection_status`.
+ */
+class Session extends EventEmitter {
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.name] - Unique session name, also its settings namespace ("main" uses the shared keys).
+   * @param {string} [opts.authDir] - Folder for the multi-file auth state.
+   * @param {string} [opts.sessionId] - SESSION_ID string to restore the login from.
+   * @param {string} [opts.workType] - Default WORK_TYPE, overridable in settingsDB.
+   * @param {string} [opts.prefix] - Default command prefix, overridable in settingsDB.
+   */
+  constructor({
+    name = "main",
+    authDir = path.join(process.cwd(), "sessions"),
+    sessionId = config.SESSION_ID,
+    workType = config.WORK_TYPE,
+    prefix = config.prefix,
+  } = {}) {
+    super();
+    this.name = name;
+    this.authDir = authDir;
+    this.sessionId = sessionId;
+    this.defaults = { workType, prefix };
+    this.settings = db.scope(name === "main" ? null : name);
+    this.conn = null;
+    this.state = "idle"; // idle | connecting | open | closed | reconnecting | failed | stopped
+    this.plugins = [];
+    this.lastMessageAt = null; // last incoming message that made it through serialize()
+    this._stopped = false;
+    this._generation = 0; // bumped by start()/stop(), a backoff sleep from before is stale
+    this.policy = new ReconnectPolicy({
+      baseDelay: config.RECONNECT_BASE_DELAY,
+      maxDelay: config.RECONNECT_MAX_DELAY,
+      maxAttempts: config.RECONNECT_MAX_ATTEMPTS,
+      breakerThreshold: config.RECONNECT_BREAKER_THRESHOLD,
+      breakerWindow: config.RECONNECT_BREAKER_WINDOW,
+      breakerCooldown: config.RECONNECT_BREAKER_COOLDOWN,
+    });
+    this.status = { state: this.state, attempts: 0 };
+    this.qr = null; // latest login QR while the session is not registered
+  }
+
+  get workType() {
+    return this.settings.getGlobal("WORK_TYPE") ?? this.defaults.workType ?? "public";
+  }
+
+  get prefix() {
+    return this.settings.getGlobal("prefix") ?? this.defaults.prefix ?? ".";
+  }
+
+  // Only files: other sessions keep their auth folders inside the main one
+  async _removeAuthFiles() {
+    if (!fs.existsSync(this.authDir)) return;
+    for (const entry of await fs.promises.readdir(this.authDir, { withFileTypes: true })) {
+      if (entry.isFile()) await fs.promises.rm(path.join(this.authDir, entry.name), { force: true });
+    }
+  }
+
+  info() {
+    return {
+      name: this.name,
+      state: this.state,
+      registered: this.registered,
+      user: this.conn?.user?.id ?? null,
+      workType: this.workType,
+      prefix: this.prefix,
+      status: this.status,
+      lastMessageAt: this.lastMessageAt,
+    };
+  }
+
+  get registered() {
+    return Boolean(this.conn?.authState?.creds?.registered);
+  }
+
+  // SESSION_STORE=auto keeps the login in the settings database when its backend supports it
+  _usesDatabaseAuth() {
+    if (config.SESSION_STORE === "database") return true;
+    if (config.SESSION_STORE === "file") return false;
+    return db.supportsAuthStore();
+  }
+
+  async _hasCreds() {
+    if (this._usesDatabaseAuth() && (await hasDatabaseCreds(this.name))) return true;
+    return fs.existsSync(path.join(this.authDir, "creds.json"));
+  }
+
+  // Resolves with the next QR, i.e. once the socket is ready for a login
+  waitForQr(timeout = 20000) {
+    if (this.qr) return Promise.resolve(this.qr);
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.off("qr", onQr);
+        reject(new Error("Timed out waiting for the login socket"));
+      }, timeout);
+      const onQr = (qr) => {
+        clearTimeout(timer);
+        resolve(qr);
+      };
+      this.once("qr", onQr);
+    });
+  }
+
+  /**
+   * Ask WhatsApp for a pairing code to link `number` (digits with country code).
+   * @returns {Promise<string>}
+   */
+  async requestPairingCode(number) {
+    if (!this.conn) throw new Error("Session is not running");
+    if (this.registered) throw new Error("Already logged in");
+    await this.waitForQr();
+    return this.conn.requestPairingCode(number);
+  }
+
+  // Delete the stored login: the auth files and the database auth rows
+  async clearAuth() {
+    await this._removeAuthFiles();
+    if (this._usesDatabaseAuth()) await db.authClear(`${this.name}:`);
+  }
+
+  // Forget the stored login and start over with a fresh QR / pairing flow
+  async resetLogin() {
+    // the old socket's key batch has to land before the rows are cleared
+    await this._teardown();
+    await this.clearAuth();
+    await this.settings.setGlobal('login', 'false', { audit: false });
+    this.policy.reset();
+    return this.start();
+  }
+
+  _setStatus(patch) {
+    this.status = { ...this.status, ...patch, updatedAt: new Date().toISOString() };
+    this.settings.setGlobal('connection_status', this.status, { audit: false }).catch(() => {});
+    this.emit("status", this.status);
+  }
+
+  // Back off before the next attempt, or give up once the policy says so
+  async _scheduleReconnect() {
+    const next = this.policy.next();
+    if (!next) {
+      console.log(`❌ Giving up after ${this.policy.maxAttempts} reconnect attempts`);
+      this.state = "failed";
+      this._setStatus({ state: this.state, nextRetryAt: null });
+      return null;
+    }
+    const retryAt = new Date(Date.now() + next.delay).toISOString();
+    console.log(
+      `🔁 Reconnecting in ${Math.round(next.delay / 1000)}s (attempt ${next.attempt}${next.circuitOpen ? ", circuit open" : ""})`
+    );
+    this._setStatus({
+      state: "reconnecting",
+      attempts: next.attempt,
+      nextRetryAt: retryAt,
+      circuitOpenUntil: next.circuitOpen ? new Date(this.policy.circuitOpenUntil).toISOString() : null,
+    });
+    return this.restart(next.delay);
+  }
+
+  async start() {
+    this._generation++;
+    const {
+      default: makeWASocket,
+      useMultiFileAuthState,
+      fetchLatestBaileysVersion,
+      makeCacheableSignalKeyStore,
+      Browsers,
+    } = await import("baileys");
+    this._stopped = false;
+    // the old socket's pending keys are written before the new one reads them back
+    await this._teardown();
+    this.qr = null;
+    if (!fs.existsSync(this.authDir)) {
+      fs.mkdirSync(this.authDir, { recursive: true });
+    }
+    if (!(await this._hasCreds()) && this.sessionId) {
+      try {
+        await downloadCreds(this.authDir, this.sessionId);
+      } catch (err) {
+        // keep going: the socket will offer a QR / pairing code login instead
+        console.log("⚠️ Could not restore session from SESSION_ID, use /login to link the bot");
+      }
+    }
+    const logga = pino({ level: "silent" });
+    const { state, saveCreds, flush } = this._usesDatabaseAuth()
+      ? await useDatabaseAuthState(this.name, { seedDir: this.authDir })
+      : await useMultiFileAuthState(this.authDir);
+    this._flushAuth = flush || null;
+    const { version } = await fetchLatestBaileysVersion();
+    // plugins are loaded once per process, reconnects reuse the same list
+    this.plugins = loadPlugins();
+    const conn = makeWASocket({
+      auth: {
+        creds: state.creds,
+        keys: makeCacheableSignalKeyStore(state.keys, logga),
+      },
+      version,
+      browser: Browsers.windows("chrome"),
+      logger: logga,
+      printQRInTerminal: false,
+      syncFullHistory: false,
+      markOnlineOnConnect: true,
+      generateHighQualityLinkPreview: true,
+      cachedGroupMetadata: (jid) => groupCache.get(jid)
+    });
+    this.conn = conn;
+    this.state = "connecting";
+    this._setStatus({ state: this.state });
+    this._bind(conn, saveCreds);
+    return conn;
+  }
+
+  _bind(conn, saveCreds) {
+    conn.ev.on("creds.update", saveCreds);
+    conn.ev.on("lid-mapping.update", async (mapping) => {
+      console.log(`🆔  LID mapping updated:`, mapping);
+    });
+    conn.ev.on("connection.update", (update) =>
+      this._onConnectionUpdate(conn, update).catch((err) =>
+        console.error(`❌ [${this.name}] connection update error:`, err.message || err)
+      )
+    );
+    conn.ev.on("groups.update", (updates) => handlers.onGroupsUpdate(this, conn, updates));
+    conn.ev.on("group-participants.update", (event) =>
+      handlers.onParticipantsUpdate(this, conn, event)
+    );
+    conn.ev.on("call", (callData) => handlers.onCall(this, conn, callData));
+    conn.ev.on("messages.upsert", (m) => handlers.onAutoFeatures(this, conn, m));
+    conn.ev.on("messages.upsert", (m) => handlers.onMessagesUpsert(this, conn, m));
+  }
+
+  // Drop the current socket without triggering its close handling,
+  // resolves once its batched auth keys are written
+  _teardown() {
+    const old = this.conn;
+    if (!old) return Promise.resolve();
+    this.conn = null;
+    old.ev.removeAllListeners();
+    // write out batched signal keys of the old socket
+    const flushed = this._flushAuth ? this._flushAuth().catch(() => {}) : Promise.resolve();
+    try {
+      old.end(undefined);
+    } catch { }
+    return flushed;
+  }
+
+  async _runHooks(event, update) {
+    for (const plugin of this.plugins) {
+      if (plugin.on !== event) continue;
+      try {
+        await plugin.exec(this.conn, update, this);
+      } catch (e) {
+        console.error(`plugin ${event} hook error:`, e);
+      }
+    }
+  }
+
+  async _onConnectionUpdate(conn, update) {
+    // updates from a socket we already replaced are ignored
+    if (conn !== this.conn) return;
+    const { DisconnectReason } = global.baileys;
+    const { connection, lastDisconnect, qr } = update;
+    if (qr) {
+      this.qr = qr;
+      this.emit("qr", qr);
+    }
+    if (connection === 'close') {
+      this.state = "closed";
+      await this._runHooks("close", update);
+      this.emit("close", update);
+      const statusCode = lastDisconnect?.error?.output?.statusCode || 0;
+      const reason = Object.keys(DisconnectReason).find((k) => DisconnectReason[k] === statusCode) || "unknown";
+      console.log(`🛑 connection closed with status code: ${statusCode}`);
+      this._setStatus({
+        state: this.state,
+        lastDisconnect: { code: statusCode, reason, at: new Date().toISOString() },
+      });
+      switch (statusCode) {
+        case DisconnectReason.badSession:
+          console.log("❌ Bad Session File. Delete session and rescan QR.");
+          await this.settings.setGlobal('login', 'false', { audit: false });
+          break;
+        case DisconnectReason.connectionReplaced:
+          console.log("⚠️ Connection replaced by a new session. You might be logged in elsewhere.");
+          break;
+        case DisconnectReason.loggedOut:
+          console.log("🛑 Logged out. Delete session and rescan QR.");
+          await this.settings.setGlobal('login', 'false', { audit: false });
+          break;
+        case DisconnectReason.multideviceMismatch:
+          console.log("❌ Multi-device mismatch. Please re-login.");
+          await this.settings.setGlobal('login', 'false', { audit: false });
+          break;
+        case DisconnectReason.restartRequired:
+          // expected right after pairing, not a failure
+          console.log("🔁 Restart required. Reconnecting...");
+          await this.restart();
+          break;
+        case DisconnectReason.connectionClosed:
+          console.log("⚠️ Connection closed. Reconnecting...");
+          await this._scheduleReconnect();
+          break;
+        case DisconnectReason.connectionLost:
+          console.log("⚠️ Connection lost. Trying to reconnect...");
+          await this._scheduleReconnect();
+          break;
+        default:
+          console.log(`❌ Unknown disconnect reason: ${statusCode}. Reconnecting...`);
+          await this._scheduleReconnect();
+      }
+    } else if (connection === "open") {
+      this.state = "open";
+      this.qr = null;
+      this.policy.success();
+      this._setStatus({
+        state: this.state,
+        attempts: 0,
+        nextRetryAt: null,
+        connectedAt: new Date().toISOString(),
+      });
+      console.log(`✅ connected as ${conn.user.id.split(":")[0]} `);
+      await handlers.sendWelcome(this, conn);
+      await this._runHooks("open", update);
+      this.emit("open", update);
+    }
+  }
+
+  // start(), handing failures to the reconnect policy (in the background) instead of throwing
+  async launch() {
+    try {
+      return await this.start();
+    } catch (err) {
+      console.error(`❌ [${this.name}] connect error:`, err.message || err);
+      this._scheduleReconnect();
+      return null;
+    }
+  }
+
+  async restart(delay = 0) {
+    const generation = this._generation;
+    if (delay) await sleep(delay);
+    // stopped, or stopped and launched again while we slept
+    if (this._stopped || generation !== this._generation) return null;
+    return this.launch();
+  }
+
+  async stop() {
+    this._stopped = true;
+    this._generation++;
+    await this._teardown();
+    this.state = "stopped";
+    this._setStatus({ state: this.state, nextRetryAt: null });
+    this.emit("stopped");
+  }
+}
+
+module.exports = Session;
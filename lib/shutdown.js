@@ -0,0 +1,71 @@
+const config = require("../config");
+const db = require("./database/settingdb");
+const { commandQueue } = require("./handlers");
+const { sessions } = require("./index");
+const { pluginManager } = require("./plugins");
+
+let server = null;
+let shuttingDown = null;
+
+// the HTTP server to close on shutdown (the return value of app.listen)
+function setServer(httpServer) {
+  server = httpServer;
+}
+
+const isShuttingDown = () => Boolean(shuttingDown);
+
+function closeServer() {
+  if (!server) return Promise.resolve();
+  return new Promise((resolve) => {
+    server.close(() => resolve());
+    // idle keep-alive sockets and open /events streams would hold close() forever
+    server.closeIdleConnections?.();
+    setTimeout(() => server.closeAllConnections?.(), 1000).unref();
+  });
+}
+
+async function step(name, fn) {
+  try {
+    await fn();
+  } catch (err) {
+    console.error(`❌ shutdown: ${name} failed:`, err?.message || err);
+  }
+}
+
+/**
+ * Stop the bot in order: no new commands, let running ones finish (up to
+ * SHUTDOWN_TIMEOUT), end the sockets, flush settingsDB, close the HTTP server,
+ * then exit. Calling it again returns the shutdown already in progress.
+ * @param {string} reason - Signal or error name, for the log.
+ * @param {number} [exitCode]
+ */
+function shutdown(reason, exitCode = 0) {
+  if (shuttingDown) return shuttingDown;
+  console.log(`🛑 Shutting down (${reason})...`);
+  const timeout = config.SHUTDOWN_TIMEOUT;
+  // last resort if a step hangs
+  setTimeout(() => {
+    console.error("❌ shutdown timed out, exiting");
+    process.exit(exitCode || 1);
+  }, timeout + 5000).unref();
+
+  shuttingDown = (async () => {
+    commandQueue.close();
+    await step("commands", async () => {
+      const pending = commandQueue.size;
+      if (pending) console.log(`⏳ Waiting for ${pending} running command(s)...`);
+      if (!(await commandQueue.drain(timeout))) {
+        console.warn(`⚠️ ${commandQueue.size} command(s) still running after ${timeout}ms`);
+      }
+    });
+    await step("plugins", () => pluginManager.unwatch());
+    await step("sessions", () => sessions.stopAll());
+    await step("settings", () => db.close());
+    await step("http", closeServer);
+    console.log("👋 Bye");
+    process.exit(exitCode);
+  })();
+  return shuttingDown;
+}
+
+module.exports = { shutdown, setServer, isShuttingDown };
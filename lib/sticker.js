@@ -4,6 +4,7 @@ const ffmpeg = require("fluent-ffmpeg");
 const { tmpdir } = require("os");
 const crypto = require("crypto");
 const path = require("path");
+const { trackConversion } = require("./metrics");
 ffmpeg.setFfmpegPath(require("@ffmpeg-installer/ffmpeg").path);
 
 class StickerBuilder {
@@ -25,7 +26,7 @@ class StickerBuilder {
 
     fs.writeFileSync(input, media);
 
-    await new Promise((resolve, reject) => {
+    await trackConversion(`sticker_${type}`, new Promise((resolve, reject) => {
       ffmpeg(input)
         .on("error", reject)
         .on("end", () => resolve(true))
@@ -57,7 +58,7 @@ class StickerBuilder {
         )
         .toFormat("webp")
         .save(output);
-    });
+    }));
 
     const buffer = fs.readFileSync(output);
     fs.unlinkSync(input);
@@ -72,7 +73,7 @@ class StickerBuilder {
 
     fs.writeFileSync(input, media);
 
-    await new Promise((resolve, reject) => {
+    await trackConversion("circle_image", new Promise((resolve, reject) => {
       ffmpeg(input)
         .on("error", reject)
         .on("end", () => resolve(true))
@@ -83,7 +84,7 @@ class StickerBuilder {
         ])
         .toFormat("png")
         .save(output);
-    });
+    }));
     const buffer = fs.readFileSync(output);
     fs.unlinkSync(input);
     fs.unlinkSync(output);
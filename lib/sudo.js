@@ -0,0 +1,62 @@
+const db = require("./database/settingdb");
+
+// Global settings key holding the sudo list (normalized PN and LID jids)
+const SUDO_KEY = "sudo";
+
+const normalize = (jid) => global.baileys.jidNormalizedUser(jid);
+const sameUser = (a, b) => global.baileys.areJidsSameUser(normalize(a), normalize(b));
+
+function getSudo() {
+  const list = db.getGlobal(SUDO_KEY);
+  return Array.isArray(list) ? list : [];
+}
+
+/**
+ * Resolve a user to every jid WhatsApp may use for them: the phone number jid
+ * and the LID, when the mapping is known to the socket.
+ * @param {object} message - Serialized message (provides getLID/getPN).
+ * @param {string} jid
+ * @returns {Promise<string[]>}
+ */
+async function resolveJids(message, jid) {
+  const jids = [normalize(jid)];
+  let alt = null;
+  if (message.isLidUser(jid)) alt = await message.getPN(jid);
+  else if (message.isPnUser(jid)) alt = await message.getLID(jid);
+  if (alt && !jids.some((j) => sameUser(j, alt))) jids.push(normalize(alt));
+  return jids;
+}
+
+/**
+ * Whether the sender is on the sudo list.
+ * @param {object} message - Serialized message.
+ * @param {string} [senderAlt] - The alternate jid Baileys delivered with the key, if any.
+ */
+async function isSudoUser(message, senderAlt) {
+  const list = getSudo();
+  if (!list.length) return false;
+  const candidates = [message.sender, senderAlt].filter(Boolean);
+  const matches = (jids) => jids.some((jid) => list.some((s) => sameUser(s, jid)));
+  if (matches(candidates)) return true;
+  // no alternate jid on the key: ask the LID mapping store
+  if (!senderAlt) return matches(await resolveJids(message, message.sender));
+  return false;
+}
+
+async function addSudo(message, jid) {
+  const list = getSudo();
+  const jids = await resolveJids(message, jid);
+  const added = jids.filter((j) => !list.some((s) => sameUser(s, j)));
+  if (added.length) await db.setGlobal(SUDO_KEY, [...list, ...added], { actor: message.sender, source: "command" });
+  return added;
+}
+
+async function removeSudo(message, jid) {
+  const list = getSudo();
+  const jids = await resolveJids(message, jid);
+  const next = list.filter((s) => !jids.some((j) => sameUser(s, j)));
+  if (next.length !== list.length) await db.setGlobal(SUDO_KEY, next, { actor: message.sender, source: "command" });
+  return list.length - next.length;
+}
+
+module.exports = { SUDO_KEY, getSudo, resolveJids, isSudoUser, addSudo, removeSudo };
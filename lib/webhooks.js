@@ -0,0 +1,238 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const axios = require("axios");
+const { EventEmitter } = require("events");
+const config = require("../config");
+const db = require("./database/settingdb");
+
+// webhooks are a global list in settingsDB: [{ id, url, secret, events, enabled }]
+const WEBHOOKS_KEY = "webhooks";
+// hooks carry their signing secret, keep them out of the settings change log
+const NO_AUDIT = { audit: false };
+const EVENTS = ["message", "group-participants", "groups", "call"];
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// JSON-safe view of a serialized message (drops conn and helper functions)
+function messagePayload(message) {
+  const quoted = message.quoted
+    ? {
+        id: message.quoted.id,
+        participant: message.quoted.participant,
+        type: message.quoted.type,
+        body: message.quoted.body,
+      }
+    : null;
+  return {
+    id: message.id,
+    key: message.key,
+    from: message.from,
+    sender: message.sender,
+    fromMe: message.fromMe,
+    isGroup: message.isGroup,
+    pushName: message.pushName,
+    type: message.type,
+    body: message.body,
+    mentions: message.mentions,
+    quoted,
+    timestamp: Number(message.raw?.messageTimestamp) || Math.floor(Date.now() / 1000),
+  };
+}
+
+// what the receiver has to recompute: HMAC-SHA256 of "<timestamp>.<raw body>"
+function sign(secret, timestamp, body) {
+  return "sha256=" + crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+/**
+ * Posts WhatsApp events to the configured webhook URLs.
+ * Deliveries run in the background with exponential retries; whatever still
+ * fails is appended to a JSON-lines dead-letter file and can be redelivered
+ * with retryDeadLetters(). Emits 'delivered' and 'failed'.
+ */
+class WebhookDispatcher extends EventEmitter {
+  constructor({ dlqFile, retries = 3, timeout = 10000, retryDelay = 1000 } = {}) {
+    super();
+    this.dlqFile = dlqFile;
+    this.retries = retries;
+    this.timeout = timeout;
+    this.retryDelay = retryDelay;
+  }
+
+  list() {
+    const hooks = db.getGlobal(WEBHOOKS_KEY);
+    return Array.isArray(hooks) ? hooks : [];
+  }
+
+  async add(url, { events = ["*"], secret } = {}) {
+    const parsed = new URL(url);
+    if (!["http:", "https:"].includes(parsed.protocol)) throw new Error("Webhook URL must be http(s)");
+    const unknown = events.filter((e) => e !== "*" && !EVENTS.includes(e));
+    if (unknown.length) throw new Error(`Unknown events: ${unknown.join(", ")} (use ${EVENTS.join(", ")})`);
+    const hook = {
+      id: crypto.randomBytes(4).toString("hex"),
+      url: parsed.toString(),
+      secret: secret || crypto.randomBytes(24).toString("hex"),
+      events,
+      enabled: true,
+    };
+    await db.setGlobal(WEBHOOKS_KEY, [...this.list(), hook], NO_AUDIT);
+    return hook;
+  }
+
+  async update(id, patch) {
+    const hooks = this.list();
+    const hook = hooks.find((h) => h.id === id);
+    if (!hook) return null;
+    Object.assign(hook, patch);
+    await db.setGlobal(WEBHOOKS_KEY, hooks, NO_AUDIT);
+    return hook;
+  }
+
+  async remove(id) {
+    const hooks = this.list();
+    const left = hooks.filter((h) => h.id !== id);
+    if (left.length === hooks.length) return false;
+    await db.setGlobal(WEBHOOKS_KEY, left, NO_AUDIT);
+    return true;
+  }
+
+  _matches(hook, event) {
+    if (hook.enabled === false) return false;
+    const events = hook.events && hook.events.length ? hook.events : ["*"];
+    return events.includes("*") || events.includes(event);
+  }
+
+  /**
+   * Queue `event` for every webhook subscribed to it, returns right away.
+   * @param {string} event - One of EVENTS.
+   * @param {object} data
+   * @param {object} [opts]
+   * @param {string} [opts.session] - Name of the bot session the event came from.
+   */
+  dispatch(event, data, { session = "main" } = {}) {
+    const hooks = this.list().filter((h) => this._matches(h, event));
+    if (!hooks.length) return;
+    const delivery = {
+      id: crypto.randomUUID(),
+      event,
+      session,
+      timestamp: new Date().toISOString(),
+      data,
+    };
+    for (const hook of hooks) {
+      this._deliver(hook, delivery).catch((err) => console.error("❌ webhook error:", err.message));
+    }
+  }
+
+  async _post(hook, delivery) {
+    const body = JSON.stringify(delivery);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    await axios.post(hook.url, body, {
+      timeout: this.timeout,
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": `x-kira-webhook`,
+        "X-Kira-Event": delivery.event,
+        "X-Kira-Delivery": delivery.id,
+        "X-Kira-Timestamp": timestamp,
+        "X-Kira-Signature": sign(hook.secret, timestamp, body),
+      },
+    });
+  }
+
+  async _deliver(hook, delivery) {
+    let lastError;
+    for (let attempt = 1; attempt <= this.retries + 1; attempt++) {
+      try {
+        await this._post(hook, delivery);
+        this.emit("delivered", { hook: hook.id, delivery: delivery.id, attempt });
+        return true;
+      } catch (err) {
+        lastError = err;
+        if (attempt <= this.retries) await sleep(this.retryDelay * 2 ** (attempt - 1));
+      }
+    }
+    const reason = lastError.response ? `HTTP ${lastError.response.status}` : lastError.message;
+    console.error(`❌ webhook ${hook.id} gave up on ${delivery.event} (${reason})`);
+    await this._deadLetter({ hook: hook.id, url: hook.url, error: reason, failedAt: new Date().toISOString(), delivery });
+    this.emit("failed", { hook: hook.id, delivery: delivery.id, error: reason });
+    return false;
+  }
+
+  // ---------- dead-letter queue ----------
+  async _deadLetter(entry) {
+    await fs.promises.mkdir(path.dirname(this.dlqFile), { recursive: true });
+    await fs.promises.appendFile(this.dlqFile, JSON.stringify(entry) + "\n");
+  }
+
+  async deadLetters(file = this.dlqFile) {
+    if (!fs.existsSync(file)) return [];
+    const raw = await fs.promises.readFile(file, "utf8");
+    return raw
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  // One more attempt for every dead letter, those that fail again go back into the file.
+  // Overlapping calls share one run instead of racing for the same file.
+  retryDeadLetters() {
+    if (!this._retrying) {
+      this._retrying = this._retryDeadLetters().finally(() => {
+        this._retrying = null;
+      });
+    }
+    return this._retrying;
+  }
+
+  async _retryDeadLetters() {
+    const working = `${this.dlqFile}.retry`;
+    if (fs.existsSync(this.dlqFile)) {
+      // move the file aside so deliveries failing meanwhile append to a fresh one
+      const moved = `${this.dlqFile}.${crypto.randomUUID()}`;
+      await fs.promises.rename(this.dlqFile, moved);
+      // a .retry file left by an interrupted run is retried too, not overwritten
+      if (fs.existsSync(working)) {
+        await fs.promises.appendFile(working, "\n" + (await fs.promises.readFile(moved, "utf8")));
+        await fs.promises.unlink(moved);
+      } else {
+        await fs.promises.rename(moved, working);
+      }
+    }
+    if (!fs.existsSync(working)) return { delivered: 0, failed: 0, dropped: 0 };
+    const entries = await this.deadLetters(working);
+    const hooks = new Map(this.list().map((h) => [h.id, h]));
+    let delivered = 0;
+    let failed = 0;
+    for (const entry of entries) {
+      const hook = hooks.get(entry.hook);
+      if (!hook) continue; // webhook was removed, drop its letters
+      try {
+        await this._post(hook, entry.delivery);
+        delivered++;
+      } catch (err) {
+        failed++;
+        const error = err.response ? `HTTP ${err.response.status}` : err.message;
+        await this._deadLetter({ ...entry, error, failedAt: new Date().toISOString() });
+      }
+    }
+    await fs.promises.unlink(working);
+    return { delivered, failed, dropped: entries.length - delivered - failed };
+  }
+}
+
+const webhooks = new WebhookDispatcher({
+  dlqFile: config.WEBHOOK_DLQ_FILE || path.join(__dirname, "database", "data", "webhook-dlq.jsonl"),
+  retries: config.WEBHOOK_RETRIES,
+  timeout: config.WEBHOOK_TIMEOUT,
+});
+
+module.exports = { webhooks, WebhookDispatcher, messagePayload, sign, EVENTS };
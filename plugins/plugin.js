@@ -0,0 +1,61 @@
+const path = require("path");
+const { Module, pluginManager, formatError } = require("../lib/plugins");
+
+const report = (res, verb) =>
+  res.ok
+    ? `✅ ${verb} *${res.name}*${res.count !== undefined ? ` (${res.count} commands)` : ""}`
+    : `❌ *${res.name}*\n\n\`\`\`${formatError(res.error)}\`\`\``;
+
+Module({
+  command: "load",
+  description: "Load a plugin file from the plugins folder",
+  permission: "owner",
+})(async (message, match) => {
+  if (!match) return message.reply("_Usage: load <plugin name>_");
+  try {
+    await message.reply(report(pluginManager.load(match), "Loaded"));
+  } catch (err) {
+    await message.reply(`❌ ${err.message}`);
+  }
+});
+
+Module({
+  command: "unload",
+  description: "Remove a plugin's commands until it is loaded again",
+  permission: "owner",
+})(async (message, match) => {
+  if (!match) return message.reply("_Usage: unload <plugin name>_");
+  try {
+    await message.reply(report(pluginManager.unload(match), "Unloaded"));
+  } catch (err) {
+    await message.reply(`❌ ${err.message}`);
+  }
+});
+
+Module({
+  command: "reload",
+  description: "Reload one plugin, or every plugin when no name is given",
+  permission: "owner",
+})(async (message, match) => {
+  try {
+    const names = match ? [match] : pluginManager.list();
+    const results = names.map((name) => pluginManager.reload(name));
+    await message.reply(results.map((res) => report(res, "Reloaded")).join("\n"));
+  } catch (err) {
+    await message.reply(`❌ ${err.message}`);
+  }
+});
+
+Module({
+  command: "plugins",
+  description: "List loaded plugin files",
+  permission: "owner",
+})(async (message) => {
+  const loaded = pluginManager.list();
+  const failed = Array.from(pluginManager.errors.keys());
+  let text = `*Plugins (${loaded.length})*\n${loaded.map((n) => `• ${n}`).join("\n")}`;
+  if (failed.length) {
+    text += `\n\n*Failed*\n${failed.map((f) => `• ${path.basename(f)}`).join("\n")}`;
+  }
+  await message.reply(text);
+});
@@ -0,0 +1,47 @@
+const { Module, commands } = require("../lib/plugins");
+const { commandName, commandNames } = require("../lib/ratelimit");
+const db = require("../lib/database/settingdb");
+const config = require("../config");
+
+Module({
+  command: "cooldown",
+  permission: "admin",
+  description: "Set a per-user cooldown for a command in this group: cooldown <command> <seconds|off>",
+  settings: {
+    cooldown: { type: "object", scope: "group", default: {}, description: "Per-command cooldown overrides in seconds" },
+  },
+})(async (message, match) => {
+  const [input, value] = (match || "").trim().split(/\s+/);
+  if (!input || !value) {
+    const current = db.getGroup(message.from, "cooldown") || {};
+    const lines = Object.entries(current).map(([cmd, v]) => `• ${cmd}: ${JSON.stringify(v)}`);
+    return message.reply(
+      `_Usage: cooldown <command> <seconds|off>_${lines.length ? `\n\n*Overrides*\n${lines.join("\n")}` : ""}`
+    );
+  }
+  // an alias sets the cooldown of the command it belongs to
+  const plugin = commands.find((p) => p.command && commandNames(p).includes(input));
+  if (!plugin) return message.reply(`_Unknown command: ${input}_`);
+  const name = commandName(plugin);
+  const seconds = value === "off" ? 0 : Number(value);
+  if (!Number.isFinite(seconds) || seconds < 0) return message.reply("_Seconds must be a positive number_");
+  await db.setGroupPluginConfig(message.from, "cooldown", { [name]: seconds }, { actor: message.sender, source: "command" });
+  await message.reply(seconds ? `✅ *${name}* cooldown set to ${seconds}s` : `✅ *${name}* cooldown disabled`);
+});
+
+Module({
+  command: "ratelimit",
+  permission: "admin",
+  description: "Set how many commands a user may run per minute in this group (0 disables)",
+  settings: {
+    ratelimit: { type: "integer", scope: "any", min: 0, default: config.RATE_LIMIT, description: "Commands a user may run per minute, 0 disables" },
+  },
+})(async (message, match) => {
+  const value = Number((match || "").trim());
+  if (!match || !Number.isInteger(value) || value < 0) {
+    const current = db.getGroup(message.from, "ratelimit");
+    return message.reply(`_Usage: ratelimit <commands per minute>_\n_Current: ${current ?? "default"}_`);
+  }
+  await db.setGroupPlugin(message.from, "ratelimit", value, { actor: message.sender, source: "command" });
+  await message.reply(value ? `✅ Limit set to ${value} commands per minute` : "✅ Rate limit disabled");
+});
@@ -0,0 +1,50 @@
+const path = require("path");
+const fs = require("fs");
+const { Module } = require("../lib/plugins");
+const config = require("../config");
+const { encodeSession, readSessionDir } = require("../lib/session-codec");
+
+// creds.json from the sessions folder, or from memory when the login lives in the database
+// (the folder then only holds the seed creds.json, which is stale after the first login)
+function sessionFiles(message, full) {
+  const session = message.session;
+  if (!session._usesDatabaseAuth() && fs.existsSync(path.join(session.authDir, "creds.json"))) {
+    return readSessionDir(session.authDir, { full });
+  }
+  const { BufferJSON } = global.baileys;
+  return { "creds.json": JSON.stringify(message.conn.authState.creds, BufferJSON.replacer) };
+}
+
+Module({
+  command: "exportsession",
+  aliases: ["backupsession"],
+  permission: "owner",
+  description: "Export the login as a SESSION_ID string (add `enc` to encrypt, `creds` for creds.json only)",
+})(async (message, match) => {
+  const args = (match || "").toLowerCase().split(/\s+/);
+  const encrypt = args.includes("enc");
+  if (encrypt && !config.SESSION_PASSPHRASE) {
+    return message.reply("_Set SESSION_PASSPHRASE to export an encrypted session_");
+  }
+  let text;
+  try {
+    text = encodeSession(sessionFiles(message, !args.includes("creds")), {
+      passphrase: encrypt ? config.SESSION_PASSPHRASE : null,
+    });
+  } catch (err) {
+    return message.reply(`❌ ${err.message}`);
+  }
+  // never post the login into a group, it always goes to the bot's own chat
+  const botjid = message.botjid;
+  if (text.length > 4000) {
+    await message.conn.sendMessage(botjid, {
+      document: Buffer.from(text),
+      fileName: `session-${message.session.name}.txt`,
+      mimetype: "text/plain",
+      caption: "Put the file content in SESSION_ID",
+    });
+  } else {
+    await message.conn.sendMessage(botjid, { text });
+  }
+  if (message.from !== botjid) await message.reply("✅ Session sent to the bot's own chat");
+});
@@ -0,0 +1,208 @@
+const { Module } = require("../lib/plugins");
+const { checkPermission, denialMessage, isOwner } = require("../lib/permissions");
+const { describe } = require("../lib/database/schema");
+const db = require("../lib/database/settingdb");
+const config = require("../config");
+
+const show = (value) => {
+  if (value === undefined || value === null) return "-";
+  if (typeof value === "boolean") return value ? "on" : "off";
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+};
+
+// group values are for group admins, bot wide ones for the owner
+async function denied(message, scope) {
+  if (scope === "global") return isOwner(message) ? null : "owner";
+  return checkPermission({ permission: "admin" }, message);
+}
+
+// where `setvar key value` writes: a group override inside groups unless the key is bot wide
+function targetScope(spec, message, forceGlobal) {
+  if (forceGlobal || spec.scope === "global") return "global";
+  return message.isGroup ? "group" : spec.scope === "group" ? null : "global";
+}
+
+// prefix and mode default to what the session was started with, not the shared config
+function defaultOf(message, spec) {
+  if (spec.key === "prefix") return message.session.defaults.prefix ?? spec.default;
+  if (spec.key === "WORK_TYPE") return message.session.defaults.workType ?? spec.default;
+  return spec.default;
+}
+
+// value in effect for this chat and where it comes from
+function current(message, spec) {
+  const group = message.isGroup && spec.scope !== "global" ? db.getGroup(message.from, spec.key) : undefined;
+  if (group !== undefined) return { value: group, from: "group" };
+  const global = spec.scope !== "group" ? message.session.settings.getGlobal(spec.key) : undefined;
+  if (global !== undefined) return { value: global, from: "global" };
+  return { value: defaultOf(message, spec), from: "default" };
+}
+
+Module({
+  command: "getvar",
+  aliases: ["settings"],
+  description: "List every known setting with its current and default value, or show one: getvar <key>",
+  settings: {
+    prefix: { type: "string", scope: "global", default: config.prefix, description: "Command prefix" },
+    WORK_TYPE: { values: ["public", "private"], scope: "global", default: config.WORK_TYPE, description: "Who may run commands" },
+    anticall: { type: "boolean", scope: "global", default: false, description: "Reject incoming calls with a message" },
+    autoread: { type: "boolean", scope: "global", default: config.AUTOREAD, description: "Mark incoming messages as read" },
+    autotyping: { type: "boolean", scope: "global", default: config.AUTOTYPING, description: "Show typing in chats that message the bot" },
+    autoreact: { type: "boolean", scope: "global", default: config.AUTOREACT, description: "React to incoming messages" },
+    autostatus_seen: { type: "boolean", scope: "global", default: config.STATUS_SEEN, description: "View status updates" },
+    autostatus_react: { type: "boolean", scope: "global", default: config.STATUS_REACT, description: "React to status updates" },
+  },
+})(async (message, match) => {
+  const reason = await denied(message, message.isGroup ? "group" : "global");
+  if (reason) return message.reply(denialMessage(reason));
+  const key = (match || "").trim();
+  if (!key) {
+    const lines = db.getSchema()
+      .sort((a, b) => a.key.localeCompare(b.key))
+      .map((spec) => {
+        const { value, from } = current(message, spec);
+        return `• *${spec.key}*: ${show(value)}${from === "default" ? "" : ` _(default ${show(defaultOf(message, spec))})_`}`;
+      });
+    return message.reply(`*Settings (${lines.length})*\n${lines.join("\n")}\n\n_getvar <key> for details, setvar <key> <value> to change_`);
+  }
+  const spec = db.getSchema(key);
+  if (!spec) return message.reply(`_Unknown setting: ${key}_`);
+  const { value, from } = current(message, spec);
+  const lines = [
+    `*${spec.key}*`,
+    spec.description && `_${spec.description}_`,
+    `Accepts: ${describe(spec)}`,
+    `Scope: ${spec.scope === "any" ? "bot wide, groups can override" : spec.scope === "group" ? "per group" : "bot wide"}`,
+    `Default: ${show(defaultOf(message, spec))}`,
+    `Current: ${show(value)} (${from})`,
+  ];
+  await message.reply(lines.filter(Boolean).join("\n"));
+});
+
+Module({
+  command: "setvar",
+  description: "Change a setting: setvar <key> <value>, add -g in a group to change the bot wide value",
+})(async (message, match) => {
+  const args = (match || "").trim().split(/\s+/).filter(Boolean);
+  const forceGlobal = args[0] === "-g";
+  if (forceGlobal) args.shift();
+  const [key, ...rest] = args;
+  if (!key || !rest.length) return message.reply("_Usage: setvar <key> <value>_\n_getvar lists the keys_");
+  const spec = db.getSchema(key);
+  if (!spec) return message.reply(`_Unknown setting: ${key}_`);
+  const scope = targetScope(spec, message, forceGlobal);
+  if (!scope) return message.reply(`_${key} can only be set inside a group_`);
+  const reason = await denied(message, scope);
+  if (reason) return message.reply(denialMessage(reason));
+  const log = { actor: message.sender, source: "command" };
+  try {
+    if (scope === "group") await db.setGroupPlugin(message.from, key, rest.join(" "), log);
+    else await message.session.settings.setGlobal(key, rest.join(" "), log);
+  } catch (err) {
+    return message.reply(`❌ ${err.message}`);
+  }
+  const value = scope === "group" ? db.getGroup(message.from, key) : message.session.settings.getGlobal(key);
+  await message.reply(`✅ *${key}* set to ${show(value)}${scope === "group" ? " in this group" : ""}`);
+});
+
+// the change log of this group, or of this session's bot wide settings in private chat
+const history = (message, opts) =>
+  message.isGroup ? db.getHistory(message.from, opts) : message.session.settings.getHistory(opts);
+const undo = (message, id, log) =>
+  message.isGroup ? db.undo(message.from, id, log) : message.session.settings.undo(id, log);
+
+Module({
+  command: "history",
+  description: "Recent settings changes here: history [count|key]",
+})(async (message, match) => {
+  const reason = await denied(message, message.isGroup ? "group" : "global");
+  if (reason) return message.reply(denialMessage(reason));
+  const arg = (match || "").trim();
+  const limit = /^\d+$/.test(arg) ? Math.min(Number(arg), 50) : 10;
+  const entries = history(message, { limit, key: arg && !/^\d+$/.test(arg) ? arg : null });
+  if (!entries.length) return message.reply("_No settings changes recorded here_");
+  const actors = [];
+  const lines = entries.map((e) => {
+    if (e.actor) actors.push(e.actor);
+    const key = e.key === "*" ? "all settings" : e.key;
+    const by = e.actor ? ` by @${e.actor.split("@")[0]}` : "";
+    const flags = e.undoneBy ? " _(undone)_" : e.undoOf ? ` _(undo of ${e.undoOf})_` : "";
+    return `\`${e.id}\` ${e.at.slice(0, 16).replace("T", " ")} *${key}*: ${show(e.oldValue)} → ${show(e.newValue)}\n    ${e.source}${by}${flags}`;
+  });
+  await message.reply(`*Settings history${message.isGroup ? " (this group)" : ""}*\n${lines.join("\n")}\n\n_undo [id] reverts a change_`, {
+    mentions: [...new Set(actors)],
+  });
+});
+
+Module({
+  command: "undo",
+  description: "Revert the last settings change here, or one change by id from history",
+})(async (message, match) => {
+  const reason = await denied(message, message.isGroup ? "group" : "global");
+  if (reason) return message.reply(denialMessage(reason));
+  let entry;
+  try {
+    entry = await undo(message, (match || "").trim() || null, { actor: message.sender, source: "command" });
+  } catch (err) {
+    return message.reply(`❌ ${err.message}`);
+  }
+  const key = entry.key === "*" ? "Group settings" : `*${entry.key}*`;
+  await message.reply(`↩️ ${key} back to ${entry.key === "*" ? "their previous values" : show(entry.oldValue)}`);
+});
+
+// one line per change for dry runs and import reports
+const changeLine = (c) =>
+  `• ${c.scope === "global" ? "" : `${c.scope.split("@")[0]} `}*${c.key}*: ${show(c.oldValue)} → ${c.newValue === undefined ? "_removed_" : show(c.newValue)}`;
+
+Module({
+  command: "exportsettings",
+  description: "Export the settings as JSON: everything (owner, sent to the bot's own chat) or `group` for this group",
+})(async (message, match) => {
+  const onlyGroup = message.isGroup && (match || "").trim().toLowerCase() === "group";
+  const reason = await denied(message, onlyGroup ? "group" : "global");
+  if (reason) return message.reply(denialMessage(reason));
+  const data = db.exportState({ jid: onlyGroup ? message.from : null });
+  const document = {
+    document: Buffer.from(JSON.stringify(data, null, 2)),
+    fileName: onlyGroup ? `settings-${message.from.split("@")[0]}.json` : "settings.json",
+    mimetype: "application/json",
+    caption: "Reply to this file with importsettings to load it",
+  };
+  // the full export holds webhook secrets and the sudo list, keep it out of groups
+  if (onlyGroup) return message.conn.sendMessage(message.from, document, { quoted: message.raw });
+  await message.conn.sendMessage(message.botjid, document);
+  if (message.from !== message.botjid) await message.reply("✅ Settings sent to the bot's own chat");
+});
+
+Module({
+  command: "importsettings",
+  description: "Reply to an exported settings file: importsettings [merge|replace] [dry]. In a group only this group is imported",
+})(async (message, match) => {
+  const args = (match || "").toLowerCase().split(/\s+/);
+  const mode = args.includes("replace") ? "replace" : "merge";
+  const dryRun = args.includes("dry");
+  const jid = message.isGroup ? message.from : null;
+  const reason = await denied(message, jid ? "group" : "global");
+  if (reason) return message.reply(denialMessage(reason));
+  const quoted = message.quoted;
+  if (!quoted) return message.reply("_Reply to a settings .json file (or JSON text) from exportsettings_");
+  let data;
+  try {
+    const raw = quoted.type === "documentMessage" ? (await quoted.download())?.toString("utf8") : quoted.body;
+    data = JSON.parse(raw || "");
+  } catch (_) {
+    return message.reply("❌ That is not a JSON settings export");
+  }
+  let result;
+  try {
+    result = await db.importState(data, { mode, dryRun, jid, actor: message.sender, source: "command" });
+  } catch (err) {
+    return message.reply(`❌ ${err.message}`);
+  }
+  const { changes } = result;
+  if (!changes.length) return message.reply("_Nothing to change, the settings already match_");
+  const lines = changes.slice(0, 30).map(changeLine);
+  if (changes.length > 30) lines.push(`_…and ${changes.length - 30} more_`);
+  const title = dryRun ? `🔍 *${mode} would make ${changes.length} changes*` : `✅ *Imported ${changes.length} changes (${mode})*`;
+  await message.reply(`${title}\n${lines.join("\n")}${dryRun ? "\n\n_Run again without `dry` to apply_" : ""}`);
+});
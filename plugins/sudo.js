@@ -0,0 +1,50 @@
+const { Module } = require("../lib/plugins");
+const { getSudo, addSudo, removeSudo } = require("../lib/sudo");
+
+// replied-to user, first mention, or a phone number typed after the command
+function targetJid(message, match) {
+  if (message.quoted?.participant) return message.quoted.participant;
+  if (message.mentions.length) return message.mentions[0];
+  const number = (match || "").replace(/[^0-9]/g, "");
+  return number ? `${number}@s.whatsapp.net` : null;
+}
+
+Module({
+  command: "setsudo",
+  aliases: ["addsudo"],
+  permission: "self",
+  description: "Add a user to the sudo list",
+})(async (message, match) => {
+  const jid = targetJid(message, match);
+  if (!jid) return message.reply("_Reply to, mention or type the number of a user_");
+  const added = await addSudo(message, jid);
+  if (!added.length) return message.reply(`_@${jid.split("@")[0]} is already sudo_`, { mentions: [jid] });
+  await message.reply(`✅ @${jid.split("@")[0]} added to sudo`, { mentions: [jid] });
+});
+
+Module({
+  command: "delsudo",
+  aliases: ["rmsudo"],
+  permission: "self",
+  description: "Remove a user from the sudo list",
+})(async (message, match) => {
+  const jid = targetJid(message, match);
+  if (!jid) return message.reply("_Reply to, mention or type the number of a user_");
+  const removed = await removeSudo(message, jid);
+  if (!removed) return message.reply(`_@${jid.split("@")[0]} is not sudo_`, { mentions: [jid] });
+  await message.reply(`✅ @${jid.split("@")[0]} removed from sudo`, { mentions: [jid] });
+});
+
+Module({
+  command: "getsudo",
+  aliases: ["listsudo"],
+  permission: "owner",
+  description: "List sudo users",
+})(async (message) => {
+  const list = getSudo();
+  if (!list.length) return message.reply("_No sudo users_");
+  await message.reply(
+    `*Sudo users (${list.length})*\n${list.map((jid) => `• @${jid.split("@")[0]}`).join("\n")}`,
+    { mentions: list }
+  );
+});
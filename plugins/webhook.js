@@ -0,0 +1,60 @@
+const { Module } = require("../lib/plugins");
+const { webhooks, EVENTS } = require("../lib/webhooks");
+
+Module({
+  command: "addwebhook",
+  permission: "owner",
+  description: `Post events to a URL: addwebhook <url> [${EVENTS.join(",")}]`,
+})(async (message, match) => {
+  const [url, events] = (match || "").trim().split(/\s+/);
+  if (!url) return message.reply(`_Usage: addwebhook <url> [${EVENTS.join(",")}]_`);
+  try {
+    const hook = await webhooks.add(url, {
+      events: events ? events.split(",").map((e) => e.trim()).filter(Boolean) : ["*"],
+    });
+    // the secret is only shown here, it goes to the bot's own chat
+    await message.conn.sendMessage(message.botjid, {
+      text: `🔗 Webhook *${hook.id}*\n${hook.url}\nEvents: ${hook.events.join(", ")}\nSecret: \`${hook.secret}\``,
+    });
+    if (message.from !== message.botjid) await message.reply(`✅ Webhook *${hook.id}* added, secret sent to the bot's own chat`);
+  } catch (err) {
+    await message.reply(`❌ ${err.message}`);
+  }
+});
+
+Module({
+  command: "delwebhook",
+  permission: "owner",
+  description: "Remove a webhook by id",
+})(async (message, match) => {
+  if (!match) return message.reply("_Usage: delwebhook <id>_");
+  const removed = await webhooks.remove(match.trim());
+  await message.reply(removed ? `✅ Webhook *${match.trim()}* removed` : "_No webhook with that id_");
+});
+
+Module({
+  command: "webhooks",
+  permission: "owner",
+  description: "List webhooks and failed deliveries",
+})(async (message) => {
+  const hooks = webhooks.list();
+  const dead = await webhooks.deadLetters();
+  if (!hooks.length) return message.reply("_No webhooks_");
+  const lines = hooks.map(
+    (h) => `• *${h.id}* ${h.enabled === false ? "(off) " : ""}${h.url}\n  ${(h.events || ["*"]).join(", ")}`
+  );
+  await message.reply(`*Webhooks (${hooks.length})*\n${lines.join("\n")}\n\nDead letters: ${dead.length}`);
+});
+
+Module({
+  command: "webhookretry",
+  permission: "owner",
+  description: "Redeliver failed webhook events",
+})(async (message) => {
+  try {
+    const res = await webhooks.retryDeadLetters();
+    await message.reply(`🔁 Delivered ${res.delivered}, still failing ${res.failed}, dropped ${res.dropped}`);
+  } catch (err) {
+    await message.reply(`❌ ${err.message}`);
+  }
+});
@@ -0,0 +1,29 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const db = require("../lib/database/settingdb");
+const { activity } = require("../lib/activity");
+
+const last = () => activity.recent[activity.recent.length - 1];
+
+test("settings updates carry the new value", async () => {
+  await db.setGlobal("prefix", "!", { persist: false });
+  assert.deepStrictEqual({ ...last(), id: 0, at: 0 }, {
+    id: 0,
+    at: 0,
+    type: "settings-update",
+    scope: "global",
+    chat: undefined,
+    plugin: "prefix",
+    value: "!",
+  });
+});
+
+test("session ids and webhook secrets never reach the feed", async () => {
+  await db.setGlobal("sessions", [{ name: "sales", sessionId: "KIRA-B64~secret" }], { persist: false, audit: false });
+  assert.strictEqual(last().plugin, "sessions");
+  assert.strictEqual(last().redacted, true);
+  await db.setGlobal("webhooks", [{ id: "h1", secret: "s3cret" }], { persist: false, audit: false });
+  assert.strictEqual(last().plugin, "webhooks");
+  assert.ok(!("value" in last()));
+  assert.doesNotMatch(JSON.stringify(activity.recent), /secret/);
+});
@@ -0,0 +1,49 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const express = require("express");
+const config = require("../config");
+
+require.cache[path.join(__dirname, "../lib/index.js")] = {
+  id: "index",
+  loaded: true,
+  exports: { getSession: () => ({ state: "connecting", registered: false, qr: null }) },
+};
+
+const app = express();
+app.use("/login", require("../lib/routes/login"));
+app.use("/events", require("../lib/routes/events"));
+
+async function get(url, headers = {}) {
+  const server = app.listen(0);
+  const controller = new AbortController();
+  try {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}${url}`, { headers, signal: controller.signal });
+    return res.status;
+  } finally {
+    controller.abort();
+    server.closeAllConnections();
+    server.close();
+  }
+}
+
+test("login routes are off while no API_KEY is set", async () => {
+  config.API_KEY = "";
+  assert.strictEqual(await get("/login/status"), 503);
+  assert.strictEqual(await get("/login/pair?number=919876543210"), 503);
+});
+
+test("login routes need the key in a header, not the query string", async () => {
+  config.API_KEY = "test-key";
+  assert.strictEqual(await get("/login/status"), 401);
+  assert.strictEqual(await get("/login/status?key=test-key"), 401);
+  assert.strictEqual(await get("/login/status?token=test-key"), 401);
+  assert.strictEqual(await get("/login/status", { "x-api-key": "test-key" }), 200);
+  assert.strictEqual(await get("/login/status", { authorization: "Bearer test-key" }), 200);
+});
+
+test("the event stream also takes ?token= for EventSource", async () => {
+  config.API_KEY = "test-key";
+  assert.strictEqual(await get("/events?key=test-key"), 401);
+  assert.strictEqual(await get("/events?token=test-key"), 200);
+});
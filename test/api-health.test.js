@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const express = require("express");
+const config = require("../config");
+
+const main = { name: "main", state: "open", registered: true, status: {} };
+let current = main;
+require.cache[path.join(__dirname, "../lib/index.js")] = {
+  id: "index",
+  loaded: true,
+  exports: { sessions: { get: () => current, sessions: new Map([["main", main]]) } },
+};
+config.API_KEY = "test-key";
+
+const app = express();
+app.use(require("../lib/routes/health"));
+
+async function get(url, headers = {}) {
+  const server = app.listen(0);
+  try {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}${url}`, { headers });
+    return [res.status, await res.json()];
+  } finally {
+    server.close();
+  }
+}
+
+test("/readyz shows only the checks without the API key", async () => {
+  const [, body] = await get("/readyz");
+  assert.deepStrictEqual(Object.keys(body).sort(), ["checks", "status"]);
+  assert.ok(Object.values(body.checks).every((v) => typeof v === "boolean"));
+  const [, full] = await get("/readyz", { "x-api-key": "test-key" });
+  assert.ok(full.database && full.plugins && full.session);
+});
+
+test("/healthz fails after a logout or while the reconnect breaker is open", async () => {
+  Object.assign(main, { state: "closed", status: { state: "closed" } });
+  assert.strictEqual((await get("/healthz"))[0], 503);
+  const later = new Date(Date.now() + 60000).toISOString();
+  main.status = { state: "reconnecting", circuitOpenUntil: later };
+  assert.strictEqual((await get("/healthz"))[0], 503);
+  main.status = { state: "reconnecting", circuitOpenUntil: null };
+  assert.strictEqual((await get("/healthz"))[0], 200);
+  Object.assign(main, { state: "open" });
+  const [status, body] = await get("/healthz");
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.sessions, undefined);
+});
+
+test("/healthz passes before the main session is created, /readyz does not", async () => {
+  current = null;
+  try {
+    assert.strictEqual((await get("/healthz"))[0], 200);
+    const [status, body] = await get("/readyz");
+    assert.strictEqual(status, 503);
+    assert.strictEqual(body.checks.socket, false);
+  } finally {
+    current = main;
+  }
+});
@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const express = require("express");
+const config = require("../config");
+
+// a connected session whose sends are recorded instead of going to WhatsApp
+const sent = [];
+const session = {
+  state: "open",
+  conn: { sendMessage: async (jid, content) => (sent.push({ jid, content }), { key: { id: "1" } }) },
+};
+require.cache[path.join(__dirname, "../lib/index.js")] = {
+  id: "index",
+  loaded: true,
+  exports: { getSession: () => session },
+};
+config.API_KEY = "test-key";
+
+const app = express();
+app.use(express.json());
+app.use("/messages", require("../lib/routes/messages"));
+
+async function post(body) {
+  const server = app.listen(0);
+  const { port } = server.address();
+  try {
+    const res = await fetch(`http://127.0.0.1:${port}/messages`, {
+      method: "POST",
+      headers: { "content-type": "application/json", "x-api-key": "test-key" },
+      body: JSON.stringify(body),
+    });
+    return [res.status, await res.json()];
+  } finally {
+    server.close();
+  }
+}
+
+test("media urls must be http or https", async () => {
+  for (const url of ["file:///etc/passwd", "/etc/passwd", "data:text/plain,hi"]) {
+    const [status, body] = await post({ to: "919876543210", type: "document", url });
+    assert.strictEqual(status, 400, url);
+    assert.match(body.error, /url/);
+  }
+  assert.strictEqual(sent.length, 0);
+});
+
+test("http media and documents are sent with the route's defaults", async () => {
+  const [status] = await post({ to: "919876543210", type: "document", url: "https://example.com/a.pdf" });
+  assert.strictEqual(status, 201);
+  const { jid, content } = sent.pop();
+  assert.strictEqual(jid, "919876543210@s.whatsapp.net");
+  assert.deepStrictEqual(content.document, { url: "https://example.com/a.pdf" });
+  assert.strictEqual(content.fileName, "file");
+  assert.strictEqual(content.mimetype, "application/octet-stream");
+});
+
+test("media gets the same defaults as message.send()", async () => {
+  await post({ to: "919876543210", type: "video", url: "https://example.com/a.mp4" });
+  await post({ to: "919876543210", type: "audio", url: "https://example.com/a.mp3" });
+  const [audio, video] = [sent.pop().content, sent.pop().content];
+  assert.strictEqual(video.mimetype, "video/mp4");
+  assert.strictEqual(video.caption, "");
+  assert.strictEqual(audio.mimetype, "audio/mp4");
+  assert.strictEqual(audio.ptt, false);
+});
@@ -0,0 +1,37 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const db = require("../lib/database/settingdb");
+const { useDatabaseAuthState } = require("../lib/database/authstate");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "auth-"));
+
+test.before(() => db.init({ databaseUrl: `file://${path.join(dir, "settings.json")}`, autosaveInterval: 0 }));
+test.after(() => db.close());
+
+test("overlapping auth file writes keep every key", async () => {
+  await Promise.all(Array.from({ length: 20 }, (_, i) => db.authSet({ [`t:key-${i}`]: String(i) })));
+  const ids = Array.from({ length: 20 }, (_, i) => `t:key-${i}`);
+  assert.strictEqual((await db.authGet(ids)).size, 20);
+  await Promise.all([db.authClear("t:"), db.authSet({ "u:creds": "{}" })]);
+  assert.strictEqual((await db.authGet(ids)).size, 0);
+  assert.strictEqual((await db.authGet(["u:creds"])).get("u:creds"), "{}");
+});
+
+test("a session folder is imported with its key files", async (t) => {
+  const baileys = await import("baileys").catch(() => null);
+  if (!baileys) return t.skip("baileys is not installed");
+  const seedDir = path.join(dir, "sessions");
+  fs.mkdirSync(seedDir);
+  const { initAuthCreds, BufferJSON } = baileys;
+  fs.writeFileSync(path.join(seedDir, "creds.json"), JSON.stringify(initAuthCreds(), BufferJSON.replacer));
+  fs.writeFileSync(path.join(seedDir, "pre-key-1.json"), JSON.stringify({ public: "a" }));
+  fs.writeFileSync(path.join(seedDir, "app-state-sync-version-regular__low.json"), JSON.stringify({ version: 1 }));
+  const { state } = await useDatabaseAuthState("seeded", { seedDir });
+  assert.ok(state.creds.noiseKey);
+  assert.deepStrictEqual(await state.keys.get("pre-key", ["1"]), { 1: { public: "a" } });
+  const stored = await db.authGet(["seeded:app-state-sync-version-regular/low"]);
+  assert.strictEqual(stored.size, 1);
+});
@@ -0,0 +1,30 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { migrate } = require("../lib/database/migrate");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "migrate-"));
+const from = path.join(dir, "from.json");
+const to = path.join(dir, "to.json");
+fs.writeFileSync(from, JSON.stringify({ globalSettings: { prefix: "!" }, groupSettings: { "1@g.us": { antilink: true } } }));
+
+test("migrate rejects an unknown layout", async () => {
+  await assert.rejects(migrate(from, to, { layout: "rows" }), /Layout must be one of/);
+});
+
+test("migrate copies the settings into an empty target", async () => {
+  const { copied } = await migrate(from, to);
+  assert.deepStrictEqual(copied, { global: 1, groups: 1, history: 0 });
+  const data = JSON.parse(fs.readFileSync(to, "utf8"));
+  assert.strictEqual(data.globalSettings.prefix, "!");
+  await assert.rejects(migrate(from, to), /not empty/);
+});
+
+test("a dry run writes nothing", async () => {
+  const missing = path.join(dir, "missing.json");
+  const { copied } = await migrate(from, missing, { dryRun: true });
+  assert.strictEqual(copied.groups, 1);
+  assert.strictEqual(fs.existsSync(missing), false);
+});
@@ -0,0 +1,41 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { checkPermission, isOwner, isSudo } = require("../lib/permissions");
+
+const owner = { isFromMe: true, isSudo: true, isGroup: false };
+const sudo = { isFromMe: false, isSudo: true, isGroup: false };
+const user = { isFromMe: false, isSudo: false, isGroup: false };
+
+test("sudo users count as owners", () => {
+  assert.strictEqual(isOwner(owner), true);
+  assert.strictEqual(isOwner(sudo), true);
+  assert.strictEqual(isOwner(user), false);
+  assert.strictEqual(isSudo(sudo), true);
+  assert.strictEqual(isSudo(user), false);
+});
+
+test("a sudo sender runs owner commands", async () => {
+  assert.strictEqual(await checkPermission({ permission: "owner" }, owner), null);
+  assert.strictEqual(await checkPermission({ permission: "owner" }, sudo), null);
+  assert.strictEqual(await checkPermission({ permission: "owner" }, user), "owner");
+});
+
+test("self commands only run from the bot's own number", async () => {
+  assert.strictEqual(await checkPermission({ permission: "self" }, owner), null);
+  assert.strictEqual(await checkPermission({ permission: "self" }, sudo), "self");
+  assert.strictEqual(await checkPermission({ permission: "self" }, user), "self");
+});
+
+test("sudo commands accept the owner and sudo users", async () => {
+  assert.strictEqual(await checkPermission({ permission: "sudo" }, owner), null);
+  assert.strictEqual(await checkPermission({ permission: "sudo" }, sudo), null);
+  assert.strictEqual(await checkPermission({ permission: "sudo" }, user), "sudo");
+});
+
+test("admin commands need a group admin, sudo users pass", async () => {
+  const group = { isGroup: true, groupAdmins: [], loadGroupInfo: async () => {} };
+  assert.strictEqual(await checkPermission({ permission: "admin" }, { ...user, ...group }), "admin");
+  assert.strictEqual(await checkPermission({ permission: "admin" }, { ...user, ...group, isAdmin: true }), null);
+  assert.strictEqual(await checkPermission({ permission: "admin" }, { ...sudo, ...group }), null);
+  assert.strictEqual(await checkPermission({ permission: "admin" }, user), "group");
+});
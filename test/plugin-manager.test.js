@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const db = require("../lib/database/settingdb");
+const { pluginManager, commands } = require("../lib/plugins");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "plugins-"));
+pluginManager.dir = dir;
+const lib = JSON.stringify(path.join(__dirname, "../lib/plugins"));
+
+// a plugin file registering `command` with one settings key
+function write(name, command, key) {
+  fs.writeFileSync(
+    path.join(dir, name),
+    `const { Module } = require(${lib});\n` +
+      `Module({ command: "${command}", settings: { ${key}: { default: 1 } } })(async () => {});\n`
+  );
+}
+const names = () => commands.map((c) => c.command).sort();
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("loadAll registers every file with its settings schema", () => {
+  write("a.js", "alpha", "alphaLimit");
+  write("b.js", "beta", "betaLimit");
+  const results = pluginManager.loadAll();
+  assert.ok(results.every((r) => r.ok));
+  assert.deepStrictEqual(pluginManager.list().sort(), ["a.js", "b.js"]);
+  assert.deepStrictEqual(names(), ["alpha", "beta"]);
+  assert.strictEqual(db.getSchema("alphaLimit").type, "integer");
+});
+
+test("reload picks up the new code and replaces the file's schema", () => {
+  const file = path.join(dir, "a.js");
+  write("a.js", "alpha2", "alphaMax");
+  const res = pluginManager.reload("a");
+  assert.deepStrictEqual(res, { name: "a.js", ok: true, count: 1 });
+  assert.deepStrictEqual(names(), ["alpha2", "beta"]);
+  assert.strictEqual(db.getSchema("alphaLimit"), null);
+  assert.ok(db.getSchema("alphaMax"));
+  assert.ok(require.cache[file]);
+});
+
+test("a reload that throws keeps the previous registrations", () => {
+  fs.writeFileSync(path.join(dir, "b.js"), "throw new Error('broken');\n");
+  const res = pluginManager.reload("b.js");
+  assert.strictEqual(res.ok, false);
+  assert.match(res.error.message, /broken/);
+  assert.ok(pluginManager.errors.has(path.join(dir, "b.js")));
+  assert.deepStrictEqual(names(), ["alpha2", "beta"]);
+  assert.ok(db.getSchema("betaLimit"));
+});
+
+test("unload drops the commands, the schema and the cached module", () => {
+  const file = path.join(dir, "a.js");
+  assert.strictEqual(pluginManager.unload("a").ok, true);
+  assert.strictEqual(require.cache[file], undefined);
+  assert.deepStrictEqual(names(), ["beta"]);
+  assert.strictEqual(db.getSchema("alphaMax"), null);
+  assert.deepStrictEqual(pluginManager.list(), ["b.js"]);
+  assert.match(pluginManager.unload("a").error.message, /not loaded/);
+});
+
+test("loading a missing file or an empty name fails", () => {
+  assert.match(pluginManager.load("nope").error.message, /nope\.js not found/);
+  assert.throws(() => pluginManager.load(" "), /Plugin name required/);
+});
@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { Module, findCommand, commands } = require("../lib/plugins");
+
+const noop = async () => {};
+Module({ command: "ping", aliases: ["p", "pong"] })(noop);
+Module({ command: "Menu", alias: "help", ignoreCase: true })(noop);
+Module({ pattern: /^(yt|youtube)(a|v)?$/g })(noop);
+Module({ command: "hi", noPrefix: true })(noop);
+
+const find = (body, prefix = ".") => findCommand(commands, body, prefix);
+
+test("a command matches by name or alias after the prefix", () => {
+  for (const body of [".ping", ".p", ".pong now"]) {
+    assert.strictEqual(find(body).plugin.command, "ping", body);
+  }
+  assert.strictEqual(find(".pong now please").match, "now please");
+  assert.strictEqual(find(".pingx"), null);
+  assert.strictEqual(find("ping"), null);
+  assert.strictEqual(find("!ping", "!").cmd, "ping");
+});
+
+test("names are exact unless ignoreCase is set", () => {
+  assert.strictEqual(find(".PING"), null);
+  assert.strictEqual(find(".menu").plugin.command, "Menu");
+  assert.strictEqual(find(".HELP").plugin.command, "Menu");
+});
+
+test("regex triggers expose their groups and ignore stateful flags", () => {
+  const res = find(".youtubev https://example.com");
+  assert.deepStrictEqual([...res.groups], ["youtubev", "youtube", "v"]);
+  assert.strictEqual(res.match, "https://example.com");
+  // the g flag is dropped, so a second exec does not resume from lastIndex
+  assert.ok(find(".yta"));
+  assert.ok(find(".yta"));
+  assert.strictEqual(find(".ytx"), null);
+});
+
+test("noPrefix commands also match without the prefix", () => {
+  assert.strictEqual(find("hi there").plugin.command, "hi");
+  assert.strictEqual(find(".hi").plugin.command, "hi");
+  assert.strictEqual(find("menu"), null);
+  assert.strictEqual(find(""), null);
+});
@@ -0,0 +1,79 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const ChatQueue = require("../lib/queue");
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+// a task that records its start and finishes when released
+function gate(log, name) {
+  let release;
+  const done = new Promise((resolve) => (release = resolve));
+  const task = async () => {
+    log.push(name);
+    await done;
+  };
+  return { task, release };
+}
+
+test("tasks of one chat run one after another, in order", async () => {
+  const queue = new ChatQueue(5);
+  const log = [];
+  const first = gate(log, "a1");
+  queue.push("a", first.task);
+  queue.push("a", async () => log.push("a2"));
+  queue.push("a", async () => log.push("a3"));
+  await tick();
+  assert.deepStrictEqual(log, ["a1"]);
+  first.release();
+  assert.strictEqual(await queue.drain(), true);
+  assert.deepStrictEqual(log, ["a1", "a2", "a3"]);
+});
+
+test("at most `concurrency` chats run at once, the next one starts when a slot frees", async () => {
+  const queue = new ChatQueue(2);
+  const log = [];
+  const gates = ["a", "b", "c"].map((key) => {
+    const g = gate(log, key);
+    queue.push(key, g.task);
+    return g;
+  });
+  await tick();
+  assert.deepStrictEqual(log, ["a", "b"]);
+  assert.strictEqual(queue.size, 3);
+  gates[1].release();
+  await tick();
+  assert.deepStrictEqual(log, ["a", "b", "c"]);
+  gates[0].release();
+  gates[2].release();
+  assert.strictEqual(await queue.drain(), true);
+  assert.strictEqual(queue.size, 0);
+});
+
+test("a failing task is logged and does not stop the chat's next tasks", async (t) => {
+  const error = t.mock.method(console, "error", () => {});
+  const queue = new ChatQueue(1);
+  const log = [];
+  queue.push("a", async () => {
+    throw new Error("boom");
+  });
+  queue.push("a", async () => log.push("a2"));
+  queue.push("b", async () => log.push("b1"));
+  await queue.drain();
+  assert.deepStrictEqual(log, ["a2", "b1"]);
+  assert.strictEqual(error.mock.callCount(), 1);
+  assert.match(error.mock.calls[0].arguments[0], /queue task error \(a\)/);
+});
+
+test("close() refuses new tasks but lets queued ones finish", async () => {
+  const queue = new ChatQueue(1);
+  const log = [];
+  const first = gate(log, "a1");
+  queue.push("a", first.task);
+  queue.push("b", async () => log.push("b1"));
+  queue.close();
+  assert.strictEqual(queue.push("c", async () => log.push("c1")), false);
+  assert.strictEqual(await queue.drain(10), false);
+  first.release();
+  assert.strictEqual(await queue.drain(), true);
+  assert.deepStrictEqual(log, ["a1", "b1"]);
+});
@@ -0,0 +1,84 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const db = require("../lib/database/settingdb");
+const { rateLimiter, RateLimiter, commandNames } = require("../lib/ratelimit");
+
+test("the per-minute limit follows the session's bot wide value and group overrides", async () => {
+  const sales = db.scope("sales");
+  await db.setGlobal("ratelimit", 20, { persist: false });
+  await sales.setGlobal("ratelimit", 5, { persist: false });
+  await db.setGroupPlugin("1@g.us", "ratelimit", 2, { persist: false });
+  const message = { isGroup: false, session: { settings: sales } };
+  assert.strictEqual(rateLimiter._perMinute(message), 5);
+  assert.strictEqual(rateLimiter._perMinute({ ...message, session: { settings: db.scope(null) } }), 20);
+  assert.strictEqual(rateLimiter._perMinute({ ...message, isGroup: true, from: "1@g.us" }), 2);
+});
+
+let clock = 1000000;
+test.beforeEach((t) => t.mock.method(Date, "now", () => clock));
+
+// a private chat message from `sender` in a session allowing `perMinute` commands
+const from = (sender, perMinute = 0) => ({
+  sender,
+  from: sender,
+  isGroup: false,
+  session: { settings: { getGlobal: () => perMinute } },
+});
+
+test("a per-user cooldown blocks the same user only, until it runs out", () => {
+  const limiter = new RateLimiter();
+  const plugin = { command: "sticker", cooldown: 5 };
+  assert.strictEqual(limiter.check(plugin, from("a")), null);
+  const blocked = limiter.check(plugin, from("a"));
+  assert.strictEqual(blocked.reason, "cooldown");
+  assert.strictEqual(blocked.retryAfter, 5000);
+  assert.strictEqual(limiter.check(plugin, from("b")), null);
+  clock += 5000;
+  assert.strictEqual(limiter.check(plugin, from("a")), null);
+});
+
+test("a global cooldown is shared by everyone, owners skip it", () => {
+  const limiter = new RateLimiter();
+  const plugin = { command: "broadcast", cooldown: { global: 60 } };
+  assert.strictEqual(limiter.check(plugin, from("a")), null);
+  assert.strictEqual(limiter.check(plugin, from("b")).reason, "cooldown");
+  assert.strictEqual(limiter.check(plugin, { ...from("c"), isFromMe: true }), null);
+});
+
+test("the token bucket allows a burst of perMinute, then refills over the minute", () => {
+  const limiter = new RateLimiter();
+  const plugin = { command: "ping" };
+  for (let i = 0; i < 3; i++) assert.strictEqual(limiter.check(plugin, from("a", 3)), null);
+  const blocked = limiter.check(plugin, from("a", 3));
+  assert.strictEqual(blocked.reason, "rate");
+  assert.strictEqual(blocked.retryAfter, 20000);
+  clock += 20000;
+  assert.strictEqual(limiter.check(plugin, from("a", 3)), null);
+  assert.strictEqual(limiter.check(plugin, from("a", 3)).reason, "rate");
+});
+
+test("the slow down warning fires once per wait, and at most every 10s", () => {
+  const limiter = new RateLimiter();
+  const plugin = { command: "ping", cooldown: 2 };
+  limiter.check(plugin, from("a"));
+  assert.strictEqual(limiter.check(plugin, from("a")).warn, true);
+  assert.strictEqual(limiter.check(plugin, from("a")).warn, false);
+  clock += 2000;
+  limiter.check(plugin, from("a"));
+  // the cooldown is over again, but the last warning was under 10s ago
+  assert.strictEqual(limiter.check(plugin, from("a")).warn, false);
+  clock += 10000;
+  limiter.check(plugin, from("a"));
+  assert.strictEqual(limiter.check(plugin, from("a")).warn, true);
+});
+
+test("a group cooldown override set under an alias applies to the command", async () => {
+  const limiter = new RateLimiter();
+  const plugin = { command: "sticker", aliases: ["s"], cooldown: 1 };
+  assert.deepStrictEqual(commandNames(plugin), ["sticker", "s"]);
+  await db.setGroupPluginConfig("2@g.us", "cooldown", { s: 30 }, { persist: false });
+  const message = { ...from("a"), isGroup: true, from: "2@g.us" };
+  assert.deepStrictEqual(limiter._cooldownFor(plugin, message), { user: 30 });
+  limiter.check(plugin, message);
+  assert.strictEqual(limiter.check(plugin, message).retryAfter, 30000);
+});
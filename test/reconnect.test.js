@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const ReconnectPolicy = require("../lib/reconnect");
+
+let clock = 1000000;
+test.beforeEach((t) => t.mock.method(Date, "now", () => clock));
+
+test("the delay grows by `factor` per attempt up to maxDelay", () => {
+  const policy = new ReconnectPolicy({ baseDelay: 100, maxDelay: 500, jitter: 0, maxAttempts: 0, breakerThreshold: 0 });
+  const delays = Array.from({ length: 5 }, () => policy.next().delay);
+  assert.deepStrictEqual(delays, [100, 200, 400, 500, 500]);
+  policy.success();
+  assert.deepStrictEqual(policy.next(), { attempt: 1, delay: 100, circuitOpen: false });
+});
+
+test("jitter keeps the delay within +/- the jitter fraction", (t) => {
+  const policy = new ReconnectPolicy({ baseDelay: 1000, jitter: 0.3, maxAttempts: 0, breakerThreshold: 0 });
+  const random = t.mock.method(Math, "random", () => 0);
+  assert.strictEqual(policy.next().delay, 700);
+  policy.success();
+  random.mock.mockImplementation(() => 0.999999);
+  assert.strictEqual(policy.next().delay, 1300);
+  random.mock.restore();
+  for (let i = 0; i < 50; i++) {
+    policy.success();
+    const { delay } = policy.next();
+    assert.ok(delay >= 700 && delay <= 1300, String(delay));
+  }
+});
+
+test("maxAttempts failures in a row gives up", () => {
+  const policy = new ReconnectPolicy({ maxAttempts: 2, breakerThreshold: 0 });
+  assert.ok(policy.next());
+  assert.ok(policy.next());
+  assert.strictEqual(policy.next(), null);
+});
+
+test("the breaker opens after a burst, lets one attempt through after the cooldown, and resets", () => {
+  const policy = new ReconnectPolicy({
+    baseDelay: 100,
+    jitter: 0,
+    maxAttempts: 0,
+    breakerThreshold: 3,
+    breakerWindow: 1000,
+    breakerCooldown: 5000,
+  });
+  // disconnects further apart than the window never trip it
+  for (let i = 0; i < 3; i++) {
+    assert.strictEqual(policy.next().circuitOpen, false);
+    clock += 1000;
+  }
+  policy.reset();
+  policy.next();
+  policy.next();
+  const open = policy.next();
+  assert.strictEqual(open.circuitOpen, true);
+  assert.strictEqual(open.delay, 5000);
+  assert.strictEqual(policy.circuitOpenUntil, clock + 5000);
+  // half-open: once the cooldown is over the next attempt goes through with a normal delay
+  clock += 5000;
+  const probe = policy.next();
+  assert.strictEqual(probe.circuitOpen, false);
+  assert.strictEqual(probe.delay, 800);
+  policy.reset();
+  assert.strictEqual(policy.circuitOpenUntil, 0);
+  assert.deepStrictEqual(policy.next(), { attempt: 1, delay: 100, circuitOpen: false });
+});
@@ -0,0 +1,24 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { B64_PREFIX, ENC_PREFIX, encodeSession, decodeSession } = require("../lib/session-codec");
+
+const creds = JSON.stringify({ noiseKey: { private: "a", public: "b" }, registrationId: 1 });
+
+test("a plain export decodes back to the same creds", () => {
+  const id = encodeSession({ "creds.json": creds });
+  assert.ok(id.startsWith(B64_PREFIX));
+  assert.deepStrictEqual(decodeSession(id, { passphrase: null }), { "creds.json": creds });
+});
+
+test("a full export keeps every key file", () => {
+  const files = { "creds.json": creds, "pre-key-1.json": "{}" };
+  assert.deepStrictEqual(decodeSession(encodeSession(files), { passphrase: null }), files);
+});
+
+test("an encrypted export needs the same passphrase", () => {
+  const id = encodeSession({ "creds.json": creds }, { passphrase: "secret" });
+  assert.ok(id.startsWith(ENC_PREFIX));
+  assert.deepStrictEqual(decodeSession(id, { passphrase: "secret" }), { "creds.json": creds });
+  assert.throws(() => decodeSession(id, { passphrase: "wrong" }), /Wrong SESSION_PASSPHRASE/);
+  assert.throws(() => decodeSession(id, { passphrase: null }), /SESSION_PASSPHRASE is required/);
+});
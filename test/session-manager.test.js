@@ -0,0 +1,35 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const db = require("../lib/database/settingdb");
+const { SessionManager } = require("../lib/session-manager");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sessions-"));
+const cwd = process.cwd();
+
+test.before(async () => {
+  process.chdir(dir);
+  await db.init({ databaseUrl: `file://${path.join(dir, "settings.json")}`, autosaveInterval: 0 });
+});
+test.after(async () => {
+  process.chdir(cwd);
+  await db.close();
+});
+
+test("removing a session deletes its login files, auth rows and settings", async () => {
+  const manager = new SessionManager();
+  const session = manager._create({ name: "sales", sessionId: "" });
+  fs.mkdirSync(session.authDir, { recursive: true });
+  fs.writeFileSync(path.join(session.authDir, "creds.json"), "{}");
+  await db.authSet({ "sales:creds": "{}", "sales:pre-key-1": "{}", "other:creds": "{}" });
+  await session.settings.setGlobal("prefix", "#");
+
+  await manager.remove("sales");
+  assert.strictEqual(fs.existsSync(session.authDir), false);
+  const left = await db.authGet(["sales:creds", "sales:pre-key-1", "other:creds"]);
+  assert.deepStrictEqual([...left.keys()], ["other:creds"]);
+  assert.strictEqual(db.getGlobal("sales:prefix"), undefined);
+  assert.strictEqual(manager.get("sales"), null);
+});
@@ -0,0 +1,99 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const db = require("../lib/database/settingdb");
+const Session = require("../lib/session");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "session-"));
+
+test.before(() => db.init({ file: path.join(dir, "settings.json"), autosaveInterval: 0 }));
+test.after(() => db.close());
+
+function fakeSession() {
+  const session = new Session({ name: "t", authDir: path.join(dir, "auth") });
+  session.starts = 0;
+  // stands in for the socket setup, bumping the generation like the real start()
+  session.start = async function () {
+    this._generation++;
+    this._stopped = false;
+    this.starts++;
+  };
+  return session;
+}
+
+test("a backoff sleep from before a stop and launch does not start again", async () => {
+  const session = fakeSession();
+  const pending = session.restart(30);
+  await session.stop();
+  await session.launch();
+  assert.strictEqual(await pending, null);
+  assert.strictEqual(session.starts, 1);
+});
+
+test("a backoff sleep nobody interrupted starts the session", async () => {
+  const session = fakeSession();
+  await session.restart(10);
+  assert.strictEqual(session.starts, 1);
+});
+
+test("a failing connection update is logged, not left unhandled", async (t) => {
+  const session = fakeSession();
+  const handlers = {};
+  const conn = { ev: { on: (event, fn) => (handlers[event] = fn) } };
+  session._onConnectionUpdate = async () => {
+    throw new Error("bad value");
+  };
+  const logged = t.mock.method(console, "error", () => {});
+  session._bind(conn, () => {});
+  await handlers["connection.update"]({ connection: "open" });
+  assert.match(String(logged.mock.calls[0].arguments[0]), /connection update error/);
+});
+
+// the DisconnectReason codes Baileys closes with
+global.baileys = {
+  DisconnectReason: {
+    connectionClosed: 428,
+    connectionLost: 408,
+    connectionReplaced: 440,
+    loggedOut: 401,
+    badSession: 500,
+    restartRequired: 515,
+    multideviceMismatch: 411,
+  },
+};
+
+// closes a fake socket with `code`, returns what the session did about it
+async function closeWith(t, code) {
+  t.mock.method(console, "log", () => {});
+  const session = fakeSession();
+  session.conn = {};
+  await session.settings.setGlobal("login", "true", { audit: false, persist: false });
+  const scheduled = t.mock.method(session, "_scheduleReconnect", async () => null);
+  const restarted = t.mock.method(session, "restart", async () => null);
+  const error = { output: { statusCode: code } };
+  await session._onConnectionUpdate(session.conn, { connection: "close", lastDisconnect: { error } });
+  return {
+    reconnects: scheduled.mock.callCount(),
+    restarts: restarted.mock.callCount(),
+    login: session.settings.getGlobal("login"),
+  };
+}
+
+test("a logout or a broken login is permanent: no reconnect, the login is dropped", async (t) => {
+  for (const code of [401, 500, 411]) {
+    assert.deepStrictEqual(await closeWith(t, code), { reconnects: 0, restarts: 0, login: "false" }, String(code));
+  }
+});
+
+test("a replaced connection is not fought over", async (t) => {
+  assert.deepStrictEqual(await closeWith(t, 440), { reconnects: 0, restarts: 0, login: "true" });
+});
+
+test("network drops and unknown codes reconnect with backoff, restartRequired right away", async (t) => {
+  for (const code of [428, 408, 0, 999]) {
+    assert.deepStrictEqual(await closeWith(t, code), { reconnects: 1, restarts: 0, login: "true" }, String(code));
+  }
+  assert.deepStrictEqual(await closeWith(t, 515), { reconnects: 0, restarts: 1, login: "true" });
+});
@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { SettingsDB } = require("../lib/database/settingdb");
+const { normalizeSettings } = require("../lib/database/schema");
+
+async function open() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "settings-"));
+  const db = new SettingsDB({ file: path.join(dir, "settings.json"), autosaveInterval: 0 });
+  await db.load();
+  db.setSchema(normalizeSettings({ prefix: { type: "string", scope: "global" } }));
+  return db;
+}
+
+test("a session's history and undo only cover its own declared keys", async () => {
+  const db = await open();
+  const main = db.scope(null);
+  const sales = db.scope("sales");
+  await main.setGlobal("prefix", "!");
+  await sales.setGlobal("prefix", "#");
+  await db.setGlobal("sudo", ["1@s.whatsapp.net"]);
+
+  assert.deepStrictEqual(main.getHistory().map((e) => e.key), ["prefix"]);
+  assert.deepStrictEqual(sales.getHistory().map((e) => e.key), ["sales:prefix"]);
+
+  // the newest global entry is sudo, undo here must not touch it
+  const entry = await main.undo();
+  assert.strictEqual(entry.key, "prefix");
+  assert.deepStrictEqual(db.globalSettings.sudo, ["1@s.whatsapp.net"]);
+  assert.strictEqual(db.globalSettings["sales:prefix"], "#");
+  await assert.rejects(main.undo(), /Nothing to undo/);
+  const sudoChange = db.getHistory("global", { key: "sudo" })[0];
+  await assert.rejects(sales.undo(sudoChange.id), /No change/);
+  await db.close();
+});
+
+test("close() waits for a running save and writes the changes made meanwhile", async () => {
+  const db = await open();
+  await db.setGlobal("a", 1, { persist: false });
+  const running = db.save();
+  await db.setGlobal("b", 2); // queued behind the running save
+  await db.close();
+  await running;
+  const saved = JSON.parse(fs.readFileSync(db.file, "utf8"));
+  assert.deepStrictEqual([saved.globalSettings.a, saved.globalSettings.b], [1, 2]);
+  assert.strictEqual(db._dirty, false);
+});
+
+test("clearing a session logs its settings but not its connection state", async () => {
+  const db = await open();
+  const sales = db.scope("sales");
+  await sales.setGlobal("prefix", "#");
+  await sales.setGlobal("connection_status", "open", { audit: false });
+  await sales.setGlobal("login", "true", { audit: false });
+  await sales.clear();
+  const cleared = db.getHistory("global").filter((e) => e.newValue === undefined);
+  assert.deepStrictEqual(cleared.map((e) => e.key), ["sales:prefix"]);
+  assert.strictEqual(db.globalSettings["sales:login"], undefined);
+});
@@ -0,0 +1,53 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { SettingsDB } = require("../lib/database/settingdb");
+
+const GROUP = "123@g.us";
+
+async function open() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "settings-"));
+  const db = new SettingsDB({ file: path.join(dir, "settings.json"), autosaveInterval: 0 });
+  await db.load();
+  await db.setGlobal("sudo", ["1@s.whatsapp.net"]);
+  await db.setGlobal("sessions", [{ name: "main", sessionId: "secret" }], { audit: false });
+  await db.setGlobal("main:login", "true", { audit: false });
+  await db.setGlobal("connection_status", "open", { audit: false });
+  await db.setGroupPlugin(GROUP, "antilink", true);
+  await db.setGroupPlugin("456@g.us", "welcome", true);
+  return db;
+}
+
+test("exports leave out the host's session and login keys", async () => {
+  const db = await open();
+  const data = db.exportState();
+  assert.deepStrictEqual(Object.keys(data.globalSettings), ["sudo"]);
+  assert.ok(!JSON.stringify(data).includes("secret"));
+  await db.close();
+});
+
+test("importing never touches the host's session and login keys", async () => {
+  const db = await open();
+  const data = { globalSettings: { sudo: [], sessions: [], login: "false" }, groupSettings: {} };
+  const { changes } = await db.importState(data, { mode: "replace" });
+  assert.ok(changes.every((c) => c.key !== "sessions" && !c.key.endsWith("login") && c.key !== "connection_status"));
+  assert.strictEqual(db.globalSettings.sessions[0].sessionId, "secret");
+  assert.strictEqual(db.globalSettings["main:login"], "true");
+  assert.deepStrictEqual(db.globalSettings.sudo, []);
+  await db.close();
+});
+
+test("a single-group export cannot replace the global settings", async () => {
+  const db = await open();
+  const data = db.exportState({ jid: GROUP });
+  assert.throws(() => db.diffState(data, { mode: "replace" }), /one group/);
+  await assert.rejects(db.importState(data, { mode: "replace" }), /one group/);
+  assert.deepStrictEqual(db.globalSettings.sudo, ["1@s.whatsapp.net"]);
+  assert.strictEqual(db.groupSettings.get("456@g.us").welcome, true);
+  // inside a group it replaces only that group
+  const { changes } = await db.importState(data, { mode: "replace", jid: "789@g.us" });
+  assert.deepStrictEqual(changes.map((c) => [c.scope, c.key]), [["789@g.us", "antilink"]]);
+  await db.close();
+});
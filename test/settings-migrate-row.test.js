@@ -0,0 +1,48 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { newDb } = require("pg-mem");
+const { SettingsDB } = require("../lib/database/settingdb");
+
+async function postgres() {
+  const { Pool } = newDb().adapters.createPg();
+  const pool = new Pool();
+  await pool.query(`
+    CREATE TABLE bot_settings (id TEXT PRIMARY KEY, data JSONB NOT NULL, updated_at TIMESTAMPTZ DEFAULT NOW());
+    CREATE TABLE bot_settings_kv (
+      id TEXT PRIMARY KEY, kind TEXT NOT NULL, name TEXT NOT NULL, data JSONB NOT NULL, updated_at TIMESTAMPTZ DEFAULT NOW()
+    );
+  `);
+  return pool;
+}
+
+test("the default row is split into per-key rows even when default_migrated exists", async () => {
+  const pool = await postgres();
+  const legacy = { globalSettings: { prefix: "!" }, groupSettings: { "1@g.us": { antilink: true } } };
+  await pool.query("INSERT INTO bot_settings (id, data) VALUES ('default', $1), ('default_migrated', $2)", [
+    JSON.stringify(legacy),
+    JSON.stringify({ globalSettings: { prefix: "old" } }),
+  ]);
+  const db = new SettingsDB({ autosaveInterval: 0, databaseUrl: "postgres://localhost/bot" });
+  Object.assign(db, { _dbType: "postgres", _pgPool: pool });
+  assert.strictEqual(await db.load(), true);
+  assert.strictEqual(db.globalSettings.prefix, "!");
+  const { rows } = await pool.query("SELECT id, data FROM bot_settings");
+  assert.deepStrictEqual(rows.map((r) => r.id), ["default_migrated"]);
+  assert.strictEqual(rows[0].data.globalSettings.prefix, "!");
+  const kv = await pool.query("SELECT id FROM bot_settings_kv ORDER BY id");
+  assert.deepStrictEqual(kv.rows.map((r) => r.id), ["global:prefix", "group:1@g.us"]);
+});
+
+test("a read-only load leaves the default row alone", async () => {
+  const pool = await postgres();
+  await pool.query("INSERT INTO bot_settings (id, data) VALUES ('default', $1)", [
+    JSON.stringify({ globalSettings: { prefix: "!" } }),
+  ]);
+  const db = new SettingsDB({ autosaveInterval: 0, databaseUrl: "postgres://localhost/bot" });
+  Object.assign(db, { _dbType: "postgres", _pgPool: pool });
+  assert.strictEqual(await db.load({ localFallback: false, readOnly: true }), true);
+  assert.strictEqual(db.globalSettings.prefix, "!");
+  const { rows } = await pool.query("SELECT id FROM bot_settings");
+  assert.deepStrictEqual(rows.map((r) => r.id), ["default"]);
+  assert.strictEqual((await pool.query("SELECT id FROM bot_settings_kv")).rows.length, 0);
+});
@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { SettingsDB } = require("../lib/database/settingdb");
+
+// the few hash / set commands the Redis layout uses, kept in memory
+function fakeRedis() {
+  const data = new Map();
+  const published = [];
+  const hash = (key) => data.get(key) || data.set(key, new Map()).get(key);
+  const client = {
+    data,
+    published,
+    hSet: async (key, field, value) => {
+      const fields = typeof field === "object" ? Object.entries(field) : [[field, value]];
+      for (const [f, v] of fields) hash(key).set(f, v);
+    },
+    hDel: async (key, fields) => [].concat(fields).forEach((f) => data.get(key)?.delete(f)),
+    hGet: async (key, field) => data.get(key)?.get(field) ?? null,
+    hGetAll: async (key) => Object.fromEntries(data.get(key) || []),
+    del: async (key) => data.delete(key),
+    sAdd: async (key, member) => hash(key).set(member, true),
+    sRem: async (key, member) => data.get(key)?.delete(member),
+    sMembers: async (key) => [...(data.get(key)?.keys() || [])],
+    sIsMember: async (key, member) => data.get(key)?.has(member) ?? false,
+    publish: async (channel, message) => published.push(message),
+    multi() {
+      const ops = [];
+      const tx = new Proxy({}, {
+        get: (_, name) => (name === "exec" ? async () => { for (const op of ops) await op(); } : (...args) => (ops.push(() => client[name](...args)), tx)),
+      });
+      return tx;
+    },
+  };
+  return client;
+}
+
+function replica(redis) {
+  const db = new SettingsDB({ autosaveInterval: 0, databaseUrl: "redis://localhost" });
+  Object.assign(db, { _dbType: "redis", _redis: redis });
+  return db;
+}
+
+test("replicas saving the same group keep each other's plugins", async () => {
+  const redis = fakeRedis();
+  const a = replica(redis);
+  const b = replica(redis);
+  await a.load();
+  await b.load();
+  await a.setGroupPlugin("1@g.us", "antilink", true);
+  await b.setGroupPlugin("1@g.us", "welcome", "hi");
+  await a.unset("1@g.us", "antilink");
+  await a.setGroupPlugin("1@g.us", "antilink", false);
+  const fresh = replica(redis);
+  await fresh.load();
+  assert.deepStrictEqual(fresh.groupSettings.get("1@g.us"), { antilink: false, welcome: "hi" });
+  // both change logs made it
+  assert.strictEqual(fresh.audit.get("1@g.us").length, 4);
+});
+
+test("a remote change keeps the edits this replica hasn't saved yet", async () => {
+  const redis = fakeRedis();
+  const a = replica(redis);
+  const b = replica(redis);
+  await a.load();
+  await b.load();
+  await b.setGroupPlugin("1@g.us", "welcome", "draft", { persist: false });
+  await b.setGlobal("prefix", "#", { persist: false });
+  await a.setGroupPlugin("1@g.us", "antilink", true);
+  await a.setGlobal("prefix", "!");
+  for (const message of redis.published) await b._onRemoteChange(message);
+  assert.deepStrictEqual(b.groupSettings.get("1@g.us"), { antilink: true, welcome: "draft" });
+  assert.strictEqual(b.globalSettings.prefix, "#");
+  assert.deepStrictEqual(b.audit.get("1@g.us").map((e) => e.newValue).sort(), ["draft", true].sort());
+  await b.save();
+  const fresh = replica(redis);
+  await fresh.load();
+  assert.deepStrictEqual(fresh.groupSettings.get("1@g.us"), { antilink: true, welcome: "draft" });
+});
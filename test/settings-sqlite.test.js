@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { SettingsDB } = require("../lib/database/settingdb");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "settings-sqlite-"));
+const opened = [];
+
+// a SettingsDB on `<name>.db` with its local JSON file next to it
+function sqlite(name) {
+  const db = new SettingsDB({
+    autosaveInterval: 0,
+    file: path.join(dir, `${name}.json`),
+    databaseUrl: `sqlite://${path.join(dir, `${name}.db`)}`,
+  });
+  opened.push(db);
+  return db;
+}
+
+test.after(async () => {
+  for (const db of opened) await db.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("the settings and auth tables are created on first load", async () => {
+  const db = sqlite("schema");
+  assert.strictEqual(await db.load(), true);
+  const tables = db._sqlite.prepare("SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name").all();
+  assert.deepStrictEqual(tables.map((t) => t.name), ["bot_auth", "bot_settings_kv"]);
+  const columns = db._sqlite.prepare("PRAGMA table_info(bot_settings_kv)").all().map((c) => c.name);
+  assert.deepStrictEqual(columns, ["id", "kind", "name", "data", "updated_at"]);
+});
+
+test("global keys and groups round trip through per-key rows", async () => {
+  const db = sqlite("kv");
+  await db.load();
+  await db.setGlobal("prefix", "!");
+  await db.setGroupPlugin("1@g.us", "antilink", true);
+  await db.setGroupPlugin("1@g.us", "welcome", "hi");
+  await db.unset("1@g.us", "welcome");
+  const rows = db._sqlite.prepare("SELECT id, kind, name FROM bot_settings_kv WHERE kind IN ('global', 'group') ORDER BY id").all();
+  assert.deepStrictEqual(rows, [
+    { id: "global:prefix", kind: "global", name: "prefix" },
+    { id: "group:1@g.us", kind: "group", name: "1@g.us" },
+  ]);
+  await db.close();
+
+  const fresh = sqlite("kv");
+  assert.strictEqual(await fresh.load(), true);
+  assert.strictEqual(fresh.globalSettings.prefix, "!");
+  assert.deepStrictEqual(fresh.groupSettings.get("1@g.us"), { antilink: true });
+  assert.strictEqual(fresh.audit.get("1@g.us").length, 3);
+});
+
+test("a corrupt local file is backed up instead of imported", async (t) => {
+  t.mock.method(console, "error", () => {});
+  t.mock.method(console, "warn", () => {});
+  fs.writeFileSync(path.join(dir, "corrupt.json"), "{ not json");
+  const db = sqlite("corrupt");
+  assert.strictEqual(await db.load(), false);
+  const backups = fs.readdirSync(dir).filter((f) => f.startsWith("corrupt.json.corrupt."));
+  assert.strictEqual(backups.length, 1);
+  assert.strictEqual(fs.readFileSync(path.join(dir, backups[0]), "utf8"), "{ not json");
+  assert.strictEqual(db._sqlite.prepare("SELECT COUNT(*) AS n FROM bot_settings_kv").get().n, 0);
+});
@@ -0,0 +1,109 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+const crypto = require("crypto");
+const { WebhookDispatcher, sign } = require("../lib/webhooks");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "webhooks-"));
+const hook = { id: "h1", url: "", secret: "s3cret", events: ["*"], enabled: true };
+const delivery = { id: "d1", event: "message", session: "main", timestamp: "2026-01-01T00:00:00.000Z", data: {} };
+
+function dispatcher(name, opts = {}) {
+  const d = new WebhookDispatcher({ dlqFile: path.join(dir, `${name}.jsonl`), retryDelay: 10, ...opts });
+  d.list = () => [hook];
+  return d;
+}
+
+test("deliveries carry an HMAC of the timestamp and raw body", async () => {
+  let received;
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      received = { headers: req.headers, body };
+      res.end("ok");
+    });
+  });
+  await new Promise((resolve) => server.listen(0, resolve));
+  try {
+    await dispatcher("sign")._post({ ...hook, url: `http://127.0.0.1:${server.address().port}/` }, delivery);
+  } finally {
+    server.close();
+  }
+  const { headers, body } = received;
+  assert.strictEqual(body, JSON.stringify(delivery));
+  assert.strictEqual(headers["x-kira-delivery"], "d1");
+  const expected = crypto.createHmac("sha256", "s3cret").update(`${headers["x-kira-timestamp"]}.${body}`).digest("hex");
+  assert.strictEqual(headers["x-kira-signature"], `sha256=${expected}`);
+  assert.strictEqual(sign("s3cret", headers["x-kira-timestamp"], body), headers["x-kira-signature"]);
+});
+
+test("failed posts are retried with a growing delay, then dead-lettered", async () => {
+  const d = dispatcher("backoff", { retries: 3 });
+  const attempts = [];
+  d._post = async () => {
+    attempts.push(Date.now());
+    throw new Error("down");
+  };
+  const failed = [];
+  d.on("failed", (e) => failed.push(e));
+  assert.strictEqual(await d._deliver(hook, delivery), false);
+  assert.strictEqual(attempts.length, 4);
+  const gaps = attempts.slice(1).map((at, i) => at - attempts[i]);
+  gaps.forEach((gap, i) => assert.ok(gap >= 10 * 2 ** i - 2, `gap ${i} was ${gap}ms`));
+  assert.deepStrictEqual(failed, [{ hook: "h1", delivery: "d1", error: "down" }]);
+  const [letter] = await d.deadLetters();
+  assert.strictEqual(letter.error, "down");
+  assert.deepStrictEqual(letter.delivery, delivery);
+});
+
+test("a delivery that succeeds on a retry is not dead-lettered", async () => {
+  const d = dispatcher("recover", { retries: 2 });
+  let calls = 0;
+  d._post = async () => {
+    if (++calls < 2) throw new Error("down");
+  };
+  const delivered = [];
+  d.on("delivered", (e) => delivered.push(e));
+  assert.strictEqual(await d._deliver(hook, delivery), true);
+  assert.deepStrictEqual(delivered, [{ hook: "h1", delivery: "d1", attempt: 2 }]);
+  assert.deepStrictEqual(await d.deadLetters(), []);
+});
+
+test("retrying dead letters keeps the ones that fail again and drops removed hooks", async () => {
+  const d = dispatcher("retry");
+  await d._deadLetter({ hook: "h1", error: "down", delivery: { ...delivery, id: "ok" } });
+  await d._deadLetter({ hook: "h1", error: "down", delivery: { ...delivery, id: "bad" } });
+  await d._deadLetter({ hook: "gone", error: "down", delivery });
+  d._post = async (h, entry) => {
+    if (entry.id === "bad") throw new Error("still down");
+  };
+  assert.deepStrictEqual(await d.retryDeadLetters(), { delivered: 1, failed: 1, dropped: 1 });
+  const left = await d.deadLetters();
+  assert.deepStrictEqual(left.map((l) => [l.delivery.id, l.error]), [["bad", "still down"]]);
+  assert.strictEqual(fs.existsSync(`${d.dlqFile}.retry`), false);
+});
+
+test("a leftover .retry file is retried along with new letters", async () => {
+  const d = dispatcher("leftover");
+  fs.writeFileSync(`${d.dlqFile}.retry`, JSON.stringify({ hook: "h1", delivery: { ...delivery, id: "old" } }) + "\n");
+  await d._deadLetter({ hook: "h1", delivery: { ...delivery, id: "new" } });
+  const posted = [];
+  d._post = async (h, entry) => posted.push(entry.id);
+  assert.deepStrictEqual(await d.retryDeadLetters(), { delivered: 2, failed: 0, dropped: 0 });
+  assert.deepStrictEqual(posted, ["old", "new"]);
+});
+
+test("overlapping retries share one run", async () => {
+  const d = dispatcher("overlap");
+  await d._deadLetter({ hook: "h1", delivery });
+  let posts = 0;
+  d._post = async () => posts++;
+  const [a, b] = await Promise.all([d.retryDeadLetters(), d.retryDeadLetters()]);
+  assert.deepStrictEqual(a, { delivered: 1, failed: 0, dropped: 0 });
+  assert.strictEqual(a, b);
+  assert.strictEqual(posts, 1);
+});